@@ -1,477 +1,4669 @@
 // HYCU M365 Sizing Dashboard JavaScript
-class M365Dashboard {
-    constructor() {
-        this.reportData = null;
-        this.storageChart = null;
-        this.growthChart = null;
-        this.initializeEventListeners();
+
+// Schema for the structured JSON export (see sample-outputs/sample-data.json).
+// Only the sections the dashboard maps into reportData are described here.
+const SIZING_JSON_SCHEMA = {
+    type: 'object',
+    required: ['TenantInfo', 'ExchangeData', 'OneDriveData', 'SharePointData'],
+    properties: {
+        TenantInfo: {
+            type: 'object',
+            required: ['DisplayName', 'UserCounts'],
+            properties: {
+                DisplayName: { type: 'string' },
+                UserCounts: {
+                    type: 'object',
+                    required: ['TotalUsers'],
+                    properties: {
+                        TotalUsers: { type: 'number' },
+                        EnabledUsers: { type: 'number' },
+                        GuestUsers: { type: 'number' }
+                    }
+                }
+            }
+        },
+        ExchangeData: {
+            type: 'object',
+            required: ['TotalSizeGB'],
+            properties: {
+                TotalMailboxes: { type: 'number' },
+                TotalSizeGB: { type: 'number' },
+                Top5Mailboxes: { type: 'array', items: { type: 'object' } }
+            }
+        },
+        OneDriveData: {
+            type: 'object',
+            required: ['TotalSizeGB'],
+            properties: {
+                TotalAccounts: { type: 'number' },
+                TotalSizeGB: { type: 'number' },
+                Top5OneDrives: { type: 'array', items: { type: 'object' } }
+            }
+        },
+        SharePointData: {
+            type: 'object',
+            required: ['TotalSizeGB'],
+            properties: {
+                TotalSites: { type: 'number' },
+                TotalSizeGB: { type: 'number' },
+                Top5Sites: { type: 'array', items: { type: 'object' } }
+            }
+        },
+        TeamsData: {
+            type: 'object',
+            properties: {
+                TotalTeams: { type: 'number' },
+                PrivateChatCostPerMessage: { type: 'number' },
+                CostPerMillionMessages: { type: 'number' }
+            }
+        },
+        GroupsData: {
+            type: 'object',
+            properties: { TotalGroups: { type: 'number' } }
+        },
+        ArchiveData: {
+            type: 'object',
+            properties: {
+                TotalMailboxesWithArchive: { type: 'number' },
+                TotalArchiveSizeGB: { type: 'number' },
+                Skipped: { type: 'boolean' }
+            }
+        },
+        RecoverableItemsData: {
+            type: 'object',
+            properties: {
+                TotalRecoverableItemsGB: { type: 'number' },
+                Skipped: { type: 'boolean' }
+            }
+        },
+        GrowthAnalysis: {
+            type: 'object',
+            properties: {
+                CurrentTotalSizeGB: { type: 'number' },
+                GrowthProjections: { type: 'object' }
+            }
+        },
+        LicensingInfo: {
+            type: 'object',
+            properties: {
+                TotalLicensedUsers: { type: 'number' },
+                HYCUEntitlement: { type: 'object' },
+                LicenseDistribution: { type: 'object' },
+                MailboxAnalysis: { type: 'object' }
+            }
+        },
+        CostAnalysis: {
+            type: 'object',
+            properties: {
+                MonthlyStorageCost: { type: 'number' },
+                MonthlyUserCost: { type: 'number' },
+                MonthlyWorkerNodeCost: { type: 'number' },
+                TotalMonthlyCost: { type: 'number' },
+                AnnualCost: { type: 'number' },
+                TotalAnnualCost: { type: 'number' },
+                CurrentStorageGB: { type: 'number' },
+                CompressedStorageGB: { type: 'number' },
+                ProjectedStorageGB: { type: 'number' },
+                AnnualStorageCost: { type: 'number' },
+                TenantSizeTB: { type: 'number' },
+                CostPerTBPerMonth: { type: 'number' },
+                AnnualWorkerNodeCost: { type: 'number' }
+            }
+        },
+        BackupRecommendations: {
+            type: 'object',
+            properties: {
+                BackupFrequency: { type: 'string' },
+                RetentionPolicy: { type: 'string' },
+                StorageEstimate: { type: 'number' },
+                BackupWindow: { type: 'string' },
+                RTORPO: { type: 'object' },
+                StorageTiering: { type: 'object' }
+            }
+        },
+        BackupSchedule: { type: 'object' },
+        DisasterRecovery: { type: 'object' },
+        ComplianceRecommendations: {
+            type: 'object',
+            properties: {
+                DataRetention: { type: 'string' },
+                EncryptionRequired: { type: 'boolean' },
+                AuditLogging: { type: 'boolean' },
+                DataResidency: { type: 'string' },
+                RightToErasure: { type: 'boolean' },
+                AccessControls: { type: 'string' }
+            }
+        },
+        GeneratedOn: { type: 'string' }
     }
+};
 
-    initializeEventListeners() {
-        const uploadArea = document.getElementById('upload-area');
-        const fileInput = document.getElementById('file-input');
+// Schema for cost optimization scenarios (see sample-outputs/cost-optimization.json).
+// CurrentCosts and the other result figures are only shown for reference.
+const COST_OPTIMIZATION_SCHEMA = {
+    type: 'object',
+    required: ['TieringOptimization', 'ROIAnalysis'],
+    properties: {
+        CurrentCosts: {
+            type: 'object',
+            properties: {
+                MonthlyTotal: { type: 'number' },
+                AnnualTotal: { type: 'number' }
+            }
+        },
+        TieringOptimization: {
+            type: 'object',
+            required: ['TierBreakdown'],
+            properties: {
+                TierBreakdown: { type: 'object' },
+                OptimizedMonthlyCost: { type: 'number' },
+                OptimizedAnnualCost: { type: 'number' }
+            }
+        },
+        RetentionOptimization: {
+            type: 'object',
+            properties: {
+                RetentionPolicies: { type: 'object' },
+                ReductionPercentage: { type: 'number' }
+            }
+        },
+        CompressionOptimization: {
+            type: 'object',
+            properties: {
+                CompressionRatio: { type: 'number' },
+                SavingsPercentage: { type: 'number' }
+            }
+        },
+        OptimizedCosts: {
+            type: 'object',
+            properties: {
+                OptimizedAnnualCost: { type: 'number' }
+            }
+        },
+        ROIAnalysis: {
+            type: 'object',
+            required: ['ImplementationCost'],
+            properties: {
+                AnnualSavings: { type: 'number' },
+                ROIPercentage: { type: 'number' },
+                PaybackPeriodYears: { type: 'number' },
+                ImplementationCost: { type: 'number' }
+            }
+        },
+        Recommendations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    Category: { type: 'string' },
+                    Priority: { type: 'string' },
+                    Description: { type: 'string' },
+                    PotentialSavings: { type: 'string' }
+                }
+            }
+        }
+    }
+};
 
-        // Drag and drop functionality
-        uploadArea.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            uploadArea.classList.add('dragover');
-        });
+// Raised when an uploaded file is readable but not a HYCU M365 sizing report
+class ReportFormatError extends Error {
+    constructor(message, issues = []) {
+        super(message);
+        this.name = 'ReportFormatError';
+        this.issues = issues;
+    }
+}
 
-        uploadArea.addEventListener('dragleave', () => {
-            uploadArea.classList.remove('dragover');
-        });
+// Minimal JSON Schema subset: type, required, properties and items
+function validateAgainstSchema(value, schema, path = '$', issues = []) {
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (schema.type && actualType !== schema.type) {
+        issues.push(`${path} should be ${schema.type} but is ${actualType}`);
+        return issues;
+    }
 
-        uploadArea.addEventListener('drop', (e) => {
-            e.preventDefault();
-            uploadArea.classList.remove('dragover');
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                this.processFile(files[0]);
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                issues.push(`${path}.${key} is missing`);
             }
         });
-
-        // File input change
-        fileInput.addEventListener('change', (e) => {
-            if (e.target.files.length > 0) {
-                const file = e.target.files[0];
-                this.processFile(file);
+        Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+            if (value[key] !== undefined && value[key] !== null) {
+                validateAgainstSchema(value[key], childSchema, `${path}.${key}`, issues);
             }
         });
+    }
 
-        // Click to upload
-        uploadArea.addEventListener('click', () => {
-            fileInput.click();
-        });
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`, issues));
+    }
 
-        // Browse button click
-        const browseButton = document.getElementById('browse-button');
-        if (browseButton) {
-            browseButton.addEventListener('click', (e) => {
-                e.stopPropagation(); // Prevent event bubbling to upload area
-                fileInput.click();
-            });
+    return issues;
+}
+
+// Declarative map of where each reportData field lives in the HTML report,
+// keyed by the report version printed in the report footer. Sections are the
+// <h2> headings (emoji stripped), subsections the <h3> headings below them.
+// Labels are matched exactly; a field with `emitted: false` is not part of
+// that report version and is always reported as missing. `header` fields are
+// read from the "Label: value" lines above the first section. A `default` is used
+// when the field cannot be read and is flagged as defaulted by validation.
+const LATEST_REPORT_VERSION = '1.0';
+
+const REPORT_FIELD_MAPS = {
+    '1.0': {
+        fields: {
+            reportInfo: {
+                generatedOn: { header: 'Generated', type: 'date' }
+            },
+            tenantInfo: {
+                tenantName: { section: 'Tenant Overview', label: 'Tenant Name', type: 'text' },
+                totalUsers: { section: 'Tenant Overview', label: 'Total Users', type: 'integer' },
+                activeUsers: { section: 'Tenant Overview', label: 'Active Users', type: 'integer' },
+                guestUsers: { section: 'Tenant Overview', label: 'Guest Users', type: 'integer' }
+            },
+            storageData: {
+                exchangeSize: { section: 'Tenant Capacity', label: 'Exchange Online', type: 'size' },
+                oneDriveSize: { section: 'Tenant Capacity', label: 'OneDrive for Business', type: 'size' },
+                sharePointSize: { section: 'Tenant Capacity', label: 'SharePoint Online', type: 'size' },
+                totalSize: { section: 'Tenant Capacity', label: 'Total Storage', type: 'size' }
+            },
+            growthData: {
+                currentSize: { section: 'Tenant Capacity', label: 'Total Storage', type: 'size' }
+            },
+            costAnalysis: {
+                monthlyStorage: { section: 'Initial Cost Estimates', label: 'Monthly Storage Cost', type: 'currency' },
+                monthlyUser: { section: 'Initial Cost Estimates', label: 'Monthly Worker Node Cost', type: 'currency' },
+                totalMonthly: { section: 'Initial Cost Estimates', label: 'Total Monthly Cost', type: 'currency' },
+                annual: { section: 'Initial Cost Estimates', label: 'Total Annual Cost', type: 'currency' },
+                currentStorage: { section: 'Initial Cost Estimates', subsection: 'Storage Cost Breakdown', label: 'Current Storage', type: 'size' },
+                compressedStorage: { section: 'Initial Cost Estimates', subsection: 'Storage Cost Breakdown', label: 'After 40% Compression', type: 'size' },
+                projectedStorage: { section: 'Initial Cost Estimates', subsection: 'Storage Cost Breakdown', label: 'With 20% Growth', type: 'size' },
+                annualStorage: { section: 'Initial Cost Estimates', subsection: 'Storage Cost Breakdown', label: 'Annual Storage Cost', type: 'currency' },
+                tenantSize: { section: 'Initial Cost Estimates', subsection: 'Worker Node Cost Breakdown', label: 'Tenant Size (Pre-compression)', type: 'size' },
+                workerNodeCostPerTB: { section: 'Initial Cost Estimates', subsection: 'Worker Node Cost Breakdown', label: 'Cost per TB per Month', type: 'currency' },
+                annualWorkerNode: { section: 'Initial Cost Estimates', subsection: 'Worker Node Cost Breakdown', label: 'Annual Worker Node Cost', type: 'currency' }
+            },
+            teamsData: {
+                totalTeams: { section: 'Other M365 Services', label: 'Teams', type: 'integer' },
+                totalGroups: { section: 'Other M365 Services', label: 'Groups', type: 'integer' },
+                costPerMessage: { section: 'Other M365 Services', listItem: 'Cost per message/notification', type: 'text', default: '$0.00075' },
+                costPerMillion: { section: 'Other M365 Services', listItem: 'Cost per million messages', type: 'text', default: '$750' }
+            },
+            sitesData: {
+                oneDriveAccounts: { section: 'Sites & OneDrive Analysis', label: 'OneDrive Accounts', type: 'integer' },
+                sharePointSites: { section: 'Sites & OneDrive Analysis', label: 'SharePoint Sites', type: 'integer' },
+                teamsSites: { section: 'Sites & OneDrive Analysis', label: 'Teams Sites', type: 'integer' },
+                totalSites: { section: 'Sites & OneDrive Analysis', label: 'Total Sites', type: 'integer' }
+            },
+            licensingData: {
+                licensedUsers: { section: 'HYCU Licensing Analysis', label: 'Total Licensed Users', type: 'integer' },
+                hycuEntitlement: { section: 'HYCU Licensing Analysis', label: 'HYCU Entitlement (50 GB/user)', type: 'size' },
+                currentUsage: { section: 'HYCU Licensing Analysis', label: 'Current Usage', type: 'size' },
+                additionalLicenses: { section: 'HYCU Licensing Analysis', label: 'Additional Licenses Needed', type: 'integer' }
+            },
+            mailboxData: {
+                totalMailboxes: { section: 'Mailbox Analysis', label: 'Total Mailboxes', type: 'integer' },
+                regularMailboxes: { section: 'Mailbox Analysis', label: 'Active User Mailboxes', type: 'integer' },
+                sharedMailboxes: { section: 'Mailbox Analysis', label: 'Shared Mailboxes', type: 'integer' },
+                resourceMailboxes: { section: 'Mailbox Analysis', label: 'Resource Mailboxes', type: 'integer' },
+                archiveMailboxes: { section: 'Mailbox Analysis', label: 'Archive Mailboxes', emitted: false },
+                archivePercentage: { section: 'Mailbox Analysis', label: 'Archive %', emitted: false },
+                sharedAllowance: { section: 'Mailbox Analysis', label: '20% Allowance', type: 'integer' },
+                excessShared: { section: 'Mailbox Analysis', label: 'Excess Shared Mailboxes', type: 'integer' }
+            }
+        },
+        tables: {
+            growthProjections: {
+                section: 'Growth Projections',
+                columns: [
+                    { key: 'rate', type: 'percent' },
+                    { key: 'projectedSize', type: 'size' },
+                    { key: 'additionalStorage', type: 'size' }
+                ]
+            },
+            top5Mailboxes: {
+                section: 'Top 5 by Size',
+                subsection: 'Top 5 Mailboxes',
+                columns: [{ key: 'name', type: 'text' }, { key: 'size', type: 'size' }]
+            },
+            top5OneDrive: {
+                section: 'Top 5 by Size',
+                subsection: 'Top 5 OneDrive Accounts',
+                columns: [{ key: 'name', type: 'text' }, { key: 'size', type: 'size' }]
+            },
+            top5SharePoint: {
+                section: 'Top 5 by Size',
+                subsection: 'Top 5 SharePoint Sites',
+                columns: [{ key: 'name', type: 'text' }, { key: 'size', type: 'size' }]
+            },
+            licenseTiers: {
+                section: 'HYCU Licensing Analysis',
+                subsection: 'License Distribution by Tier',
+                summaryRow: 'Total',
+                columns: [
+                    { key: 'licenseType', type: 'text' },
+                    { key: 'assigned', type: 'integer' },
+                    { key: 'consumed', type: 'integer' },
+                    { key: 'available', type: 'integer' },
+                    { key: 'storageLimit', type: 'text' }
+                ]
+            }
         }
     }
+};
 
-    async processFile(file) {
-        if (!file.name.endsWith('.html')) {
-            return;
+// Number of years drawn on the growth projection chart
+const GROWTH_PROJECTION_YEARS = 5;
+
+// Editable cost assumptions. Defaults mirror Get-CostAnalysis in
+// Get-HYCUM365SizingInfo.ps1, so an untouched scenario matches the report.
+// Percentages are stored as whole numbers (40 = 40%).
+const COST_ASSUMPTIONS = [
+    { key: 'storageCostPerGB', label: 'Storage Cost', defaultValue: 0.02, min: 0, max: 0.2, step: 0.005, format: v => `$${v} per GB per month` },
+    { key: 'compressionRate', label: 'Compression Rate', defaultValue: 40, min: 0, max: 90, step: 1, format: v => `${v}% (data compression)` },
+    { key: 'growthRate', label: 'Growth Rate', defaultValue: 20, min: 0, max: 100, step: 1, format: v => `${v}% (annual projection)` },
+    { key: 'workerNodeCostPerTB', label: 'Worker Node Cost', defaultValue: 5, min: 0, max: 50, step: 0.5, format: v => `$${v} per TB per month` },
+    { key: 'retentionYears', label: 'Retention Period', defaultValue: 1, min: 1, max: 10, step: 1, format: v => `${v} year${v === 1 ? '' : 's'}` },
+    { key: 'dailyChangeRate', label: 'Daily Change Rate', defaultValue: 0.2, min: 0, max: 5, step: 0.1, format: v => `${v}%` }
+];
+
+// Get-CostAnalysis prices a single copy of the projected storage, which is the
+// first year of retention. Every further year keeps that year's daily changes
+// on top, so the default assumptions reproduce the report's own costs.
+function retentionStorageFactor(dailyChangeRate, retentionYears) {
+    return 1 + (dailyChangeRate / 100) * 365 * Math.max(0, retentionYears - 1);
+}
+
+// How resource and archive mailboxes are licensed by the shared mailbox calculator
+const MAILBOX_TREATMENTS = {
+    exempt: 'Not licensed',
+    shared: 'Count against the shared allowance',
+    licensed: 'One license each'
+};
+
+// Editable shared mailbox licensing rules. Defaults mirror Get-MailboxInformation
+// in Get-HYCUM365SizingInfo.ps1, so untouched rules match the report.
+const MAILBOX_RULES = [
+    { key: 'allowancePercent', label: 'Shared Mailbox Allowance', defaultValue: 20, min: 0, max: 100, step: 1, format: v => `${v}% of licensed users` },
+    { key: 'mailboxesPerLicense', label: 'Excess Mailboxes per License', defaultValue: 50, min: 1, max: 100, step: 1, format: v => `${v} shared mailbox${v === 1 ? '' : 'es'} per HYCU license` },
+    { key: 'resourceMailboxes', label: 'Resource Mailboxes', defaultValue: 'exempt', options: MAILBOX_TREATMENTS },
+    { key: 'archiveMailboxes', label: 'Archive Mailboxes', defaultValue: 'exempt', options: MAILBOX_TREATMENTS }
+];
+
+// Pooled HYCU entitlement and headroom forecast settings. The per-user
+// entitlement default matches Get-LicensingInfo in Get-HYCUM365SizingInfo.ps1.
+const CAPACITY_SETTINGS = [
+    { key: 'entitlementPerUserGB', label: 'Entitlement per User', defaultValue: 50, min: 1, max: 500, step: 1, format: v => `${v} GB per licensed user` },
+    { key: 'horizonYears', label: 'Forecast Horizon', defaultValue: 5, min: 3, max: 5, step: 1, format: v => `${v} years` }
+];
+
+// Storage tiers of the cost optimization scenario. `source` is the key in
+// TieringOptimization.TierBreakdown; default shares match the sample file.
+const STORAGE_TIERS = [
+    { key: 'hot', label: 'Hot', source: 'Hot', defaultShare: 40 },
+    { key: 'cool', label: 'Cool', source: 'Cool', defaultShare: 35 },
+    { key: 'archive', label: 'Archive', source: 'Archive', defaultShare: 25 }
+];
+
+// Editable cost optimization settings. Tier prices are relative to the hot
+// tier, which is billed at the cost scenario's storage price; the defaults are
+// the price ratios in sample-outputs/cost-optimization.json.
+const OPTIMIZATION_SETTINGS = [
+    { key: 'compressedPercent', label: 'Size After Compression', defaultValue: 30, min: 5, max: 100, step: 1, format: v => `${v}% of the original size` },
+    { key: 'coolPricePercent', label: 'Cool Tier Price', defaultValue: 53, min: 1, max: 100, step: 1, format: v => `${v}% of the hot tier price` },
+    { key: 'archivePricePercent', label: 'Archive Tier Price', defaultValue: 13, min: 1, max: 100, step: 1, format: v => `${v}% of the hot tier price` },
+    { key: 'implementationCost', label: 'Implementation Cost', defaultValue: 5000, min: 0, max: 100000, step: 500, format: v => `$${v.toLocaleString()} one-off` }
+];
+
+// Workloads on the backup plan timeline. `source` is the key in the JSON
+// export's BackupSchedule; Teams has no storage figure of its own.
+const BACKUP_WORKLOADS = [
+    { key: 'exchange', label: 'Exchange', source: 'Exchange', storageKey: 'exchangeSize', defaultInterval: 2, color: '#667eea' },
+    { key: 'oneDrive', label: 'OneDrive', source: 'OneDrive', storageKey: 'oneDriveSize', defaultInterval: 1, color: '#764ba2' },
+    { key: 'sharePoint', label: 'SharePoint', source: 'SharePoint', storageKey: 'sharePointSize', defaultInterval: 2, color: '#f093fb' },
+    { key: 'teams', label: 'Teams', source: 'Teams', storageKey: null, defaultInterval: 4, color: '#4facfe' }
+];
+
+const BACKUP_INTERVALS = {
+    1: 'Every hour',
+    2: 'Every 2 hours',
+    4: 'Every 4 hours',
+    6: 'Every 6 hours',
+    12: 'Every 12 hours',
+    24: 'Daily'
+};
+
+// Editable backup plan targets. Reports with BackupRecommendations replace
+// these; the default RPO is met by every workload's default schedule.
+const BACKUP_PLAN_SETTINGS = [
+    { key: 'windowStart', label: 'Backup Window Start', defaultValue: 2, min: 0, max: 23, step: 1, format: v => `${String(v).padStart(2, '0')}:00` },
+    { key: 'windowHours', label: 'Backup Window Length', defaultValue: 4, min: 1, max: 12, step: 1, format: v => `${v} hour${v === 1 ? '' : 's'}` },
+    { key: 'rpoHours', label: 'RPO Target', defaultValue: 4, min: 1, max: 24, step: 1, format: v => `${v} hour${v === 1 ? '' : 's'} of data loss at most` },
+    { key: 'rtoHours', label: 'RTO Target', defaultValue: 4, min: 1, max: 72, step: 1, format: v => `${v} hour${v === 1 ? '' : 's'} to restore` }
+];
+
+// Exchange sub-layers the report sizes apart from primary mailboxes. `scanKey`
+// holds 'scanned', 'skipped' (the report records that the script ran with
+// `skipParameter`) or 'unavailable' (the report has no size for it). They are
+// shown apart and are not part of storageData.totalSize, which stays the
+// report's own total so sizing, growth and costs all start from one figure.
+const EXCHANGE_SUBLAYERS = [
+    { key: 'archiveSize', scanKey: 'archiveScan', elementId: 'exchange-archive-size', label: 'Exchange Archive', skipParameter: '-SkipArchiveMailbox', color: '#8e9cf0' },
+    { key: 'recoverableItemsSize', scanKey: 'recoverableItemsScan', elementId: 'recoverable-items-size', label: 'Recoverable Items', skipParameter: '-SkipRecoverableItems', color: '#b8c1f6' }
+];
+
+// Compliance frameworks the dashboard can size for. `retention` is the minimum
+// years of backups to keep per BACKUP_WORKLOADS key (null: no minimum);
+// `residency` is null when the framework does not restrict location.
+const COMPLIANCE_PROFILES = [
+    {
+        key: 'gdpr',
+        label: 'GDPR',
+        description: 'EU personal data',
+        retention: { exchange: null, oneDrive: null, sharePoint: null, teams: null },
+        encryption: true,
+        auditLogging: true,
+        residency: 'EU/EEA regions',
+        controls: [
+            'Personal data erased at a subject\'s request is also purged from backups',
+            'Retention is no longer than the documented purpose requires'
+        ]
+    },
+    {
+        key: 'hipaa',
+        label: 'HIPAA',
+        description: 'US protected health information',
+        retention: { exchange: 6, oneDrive: 6, sharePoint: 6, teams: 6 },
+        encryption: true,
+        auditLogging: true,
+        residency: 'US regions covered by a business associate agreement',
+        controls: [
+            'Business associate agreement signed with the backup provider',
+            'Restore procedure tested as part of the contingency plan'
+        ]
+    },
+    {
+        key: 'sox',
+        label: 'SOX',
+        description: 'Financial records of US listed companies',
+        retention: { exchange: 7, oneDrive: 7, sharePoint: 7, teams: 7 },
+        encryption: false,
+        auditLogging: true,
+        residency: null,
+        controls: [
+            'Backups of financial records are immutable for the retention period',
+            'Restores are approved by someone other than the operator'
+        ]
+    },
+    {
+        key: 'pciDss',
+        label: 'PCI-DSS',
+        description: 'Payment card data',
+        retention: { exchange: 1, oneDrive: 1, sharePoint: 1, teams: 1 },
+        encryption: true,
+        auditLogging: true,
+        residency: null,
+        controls: [
+            'Cardholder data is kept only where it is needed and is encrypted',
+            'Access to backups is reviewed at least every quarter'
+        ]
+    }
+];
+
+// Settings of the backup storage model that are not part of the cost scenario
+const STORAGE_MODEL_SETTINGS = [
+    {
+        key: 'fullBackupMonths',
+        label: 'Full Backups',
+        defaultValue: '0',
+        options: {
+            0: 'Initial full only (incremental forever)',
+            1: 'Monthly',
+            3: 'Quarterly',
+            12: 'Yearly'
         }
+    }
+];
 
-        this.showLoading();
-        
-        try {
-            const text = await file.text();
-            // Store the original HTML content for the detailed report view
-            window.dashboard = this;
-            this.originalHtmlContent = text;
-            
-            this.parseReportData(text);
-            this.displayDashboard();
-            
-            // Clear the file input after successful processing
-            const fileInput = document.getElementById('file-input');
-            if (fileInput) {
-                fileInput.value = '';
-            }
-        } catch (error) {
-            console.error('Error processing file:', error);
-            alert('Error processing the report file. Please ensure it\'s a valid HYCU M365 report.');
-            
-            // Clear the file input even on error
-            const fileInput = document.getElementById('file-input');
-            if (fileInput) {
-                fileInput.value = '';
+// Cost scenario inputs the storage model shares with the Cost Estimation card
+const STORAGE_MODEL_ASSUMPTIONS = ['dailyChangeRate', 'retentionYears', 'compressionRate', 'growthRate'];
+
+// Reads "4 hours", "Every 2 hours", "Every hour", "Daily" or "30 minutes" as
+// hours. Ranges such as "1-2 hours" give the upper bound.
+function parseHours(text) {
+    const value = String(text || '');
+    if (/daily/i.test(value)) {
+        return 24;
+    }
+    if (/every hour/i.test(value)) {
+        return 1;
+    }
+    const hours = value.match(/(\d+(?:\.\d+)?)\s*hours?/i);
+    if (hours) {
+        return parseFloat(hours[1]);
+    }
+    const minutes = value.match(/(\d+)\s*min/i);
+    return minutes ? parseInt(minutes[1], 10) / 60 : null;
+}
+
+// Colours and fonts shared by every dashboard chart
+const CHART_THEME = {
+    palette: ['#667eea', '#764ba2', '#f093fb', '#28a745', '#ffc107', '#dc3545'],
+    outlier: '#dc3545',
+    fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+    textColor: '#4a5568'
+};
+
+// Proposal PDF text inputs, keyed by their property in the proposal settings
+const PROPOSAL_FIELDS = {
+    title: 'proposal-title',
+    color: 'proposal-color',
+    preparedFor: 'proposal-prepared-for',
+    preparedBy: 'proposal-prepared-by',
+    summary: 'proposal-summary'
+};
+
+// Sections of the uploaded HTML report (its <h2> headings) and an element inside
+// the dashboard card that shows the same data, for the detailed report navigator
+const DETAILED_REPORT_SECTIONS = [
+    { section: 'Tenant Overview', anchor: 'tenant-name' },
+    { section: 'Tenant Capacity', anchor: 'exchange-size' },
+    { section: 'Growth Projections', anchor: 'growth-projection-chart' },
+    { section: 'Other M365 Services', anchor: 'total-teams' },
+    { section: 'Mailbox Analysis', anchor: 'total-mailboxes' },
+    { section: 'Sites & OneDrive Analysis', anchor: 'onedrive-accounts' },
+    { section: 'Top 5 by Size', anchor: 'topn-table' },
+    { section: 'HYCU Licensing Analysis', anchor: 'licensed-users' },
+    { section: 'Initial Cost Estimates', anchor: 'monthly-storage-cost' }
+];
+
+// Pseudonym prefixes used by redaction mode. Mailbox and OneDrive owners share
+// the 'user' kind so one person gets the same pseudonym in both lists.
+const REDACTION_KINDS = {
+    tenant: 'Tenant',
+    user: 'User',
+    site: 'Site'
+};
+
+// Rows of the multi-tenant comparison table. `sum` rows get an aggregate
+// total across all loaded tenants.
+const COMPARISON_ROWS = [
+    { group: 'Tenant', label: 'Total Users', format: 'count', sum: true, value: (data) => data.tenantInfo.totalUsers },
+    { group: 'Tenant', label: 'Active Users', format: 'count', sum: true, value: (data) => data.tenantInfo.activeUsers },
+    { group: 'Tenant', label: 'Guest Users', format: 'count', sum: true, value: (data) => data.tenantInfo.guestUsers },
+    { group: 'Storage', label: 'Exchange (GB)', format: 'gb', sum: true, value: (data) => data.storageData.exchangeSize },
+    { group: 'Storage', label: 'Exchange Archive (GB)', format: 'gb', sum: true, value: (data) => data.storageData.archiveSize },
+    { group: 'Storage', label: 'Recoverable Items (GB)', format: 'gb', sum: true, value: (data) => data.storageData.recoverableItemsSize },
+    { group: 'Storage', label: 'OneDrive (GB)', format: 'gb', sum: true, value: (data) => data.storageData.oneDriveSize },
+    { group: 'Storage', label: 'SharePoint (GB)', format: 'gb', sum: true, value: (data) => data.storageData.sharePointSize },
+    { group: 'Storage', label: 'Total (GB)', format: 'gb', sum: true, value: (data) => data.storageData.totalSize },
+    { group: 'Licensing', label: 'Licensed Users', format: 'count', sum: true, value: (data) => data.licensingData.licensedUsers },
+    { group: 'Licensing', label: 'HYCU Entitlement (GB)', format: 'gb', sum: true, value: (data) => data.licensingData.hycuEntitlement },
+    { group: 'Licensing', label: 'Current Usage (GB)', format: 'gb', sum: true, value: (data) => data.licensingData.currentUsage },
+    { group: 'Licensing', label: 'Additional Licenses', format: 'count', sum: true, value: (data) => data.licensingData.additionalLicenses },
+    { group: 'Cost', label: 'Report Monthly Cost', format: 'usd', sum: true, value: (data) => data.costAnalysis.totalMonthly },
+    { group: 'Cost', label: 'Report Annual Cost', format: 'usd', sum: true, value: (data) => data.costAnalysis.annual },
+    { group: 'Cost', label: 'Scenario Monthly Cost', format: 'usd', sum: true, value: (data, dashboard) => dashboard.calculateCostEstimate(dashboard.costAssumptions, data).totalMonthly }
+];
+
+const COMPARISON_FORMATS = {
+    count: v => v.toLocaleString(),
+    gb: v => v.toLocaleString(undefined, { maximumFractionDigits: 1 }),
+    usd: v => `$${v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+};
+
+// Workloads charted in trend mode, keyed by their storageData field
+const TREND_WORKLOADS = [
+    { key: 'exchangeSize', label: 'Exchange Online', color: '#667eea' },
+    { key: 'oneDriveSize', label: 'OneDrive for Business', color: '#764ba2' },
+    { key: 'sharePointSize', label: 'SharePoint Online', color: '#f093fb' },
+    { key: 'totalSize', label: 'Total Storage', color: '#28a745' }
+];
+
+// Workloads of the Top-N view, keyed by their top5Data field. Reports
+// currently list five items per workload; the view shows whatever is there.
+const TOP_N_WORKLOADS = [
+    { key: 'mailboxes', label: 'Exchange', storageKey: 'exchangeSize', canvasId: 'top5-mailboxes-chart', color: '#667eea', borderColor: '#764ba2', redactAs: 'user' },
+    { key: 'oneDrive', label: 'OneDrive', storageKey: 'oneDriveSize', canvasId: 'top5-onedrive-chart', color: '#764ba2', borderColor: '#667eea', redactAs: 'user' },
+    { key: 'sharePoint', label: 'SharePoint', storageKey: 'sharePointSize', canvasId: 'top5-sharepoint-chart', color: '#f093fb', borderColor: '#667eea', redactAs: 'site' }
+];
+
+const TOP_N_COLUMNS = [
+    { key: 'workload', label: 'Workload' },
+    { key: 'name', label: 'Name' },
+    { key: 'size', label: 'Size (GB)' },
+    { key: 'share', label: 'Share of Workload' },
+    { key: 'outlier', label: 'Flag' }
+];
+
+// Chart.js tick callback: axis labels stay short, tooltips keep the full name
+function shortChartLabel(value) {
+    const label = this.getLabelForValue(value);
+    return label.length > 15 ? label.substring(0, 15) + '...' : label;
+}
+
+// Reads an HTML report through REPORT_FIELD_MAPS and records a diagnostic
+// entry for every field it looks up.
+class ReportReader {
+    constructor(doc) {
+        const footerMatch = (doc.body ? doc.body.textContent : '').match(/HYCU M365 Sizing Tool v(\d+(?:\.\d+)*)/);
+        this.detectedVersion = footerMatch ? footerMatch[1] : null;
+        this.version = REPORT_FIELD_MAPS[this.detectedVersion] ? this.detectedVersion : LATEST_REPORT_VERSION;
+        this.map = REPORT_FIELD_MAPS[this.version];
+        this.diagnostics = [];
+        this.indexDocument(doc);
+    }
+
+    static normalizeHeading(text) {
+        // Headings start with an emoji in the PowerShell report
+        return text.replace(/^[^A-Za-z0-9]+/, '').replace(/\s+/g, ' ').trim();
+    }
+
+    indexDocument(doc) {
+        this.metrics = [];
+        this.listItems = [];
+        this.tables = [];
+        this.headerLines = [];
+
+        let section = null;
+        let subsection = null;
+        const elements = doc.body ? doc.body.querySelectorAll('*') : [];
+        for (let element of elements) {
+            const tag = element.tagName;
+            if (tag === 'H2') {
+                section = ReportReader.normalizeHeading(element.textContent);
+                subsection = null;
+            } else if (tag === 'H3') {
+                subsection = ReportReader.normalizeHeading(element.textContent);
+            } else if (element.classList.contains('metric-label')) {
+                const valueElement = element.previousElementSibling;
+                this.metrics.push({
+                    section,
+                    subsection,
+                    label: element.textContent.trim(),
+                    text: valueElement ? valueElement.textContent.trim() : null
+                });
+            } else if (tag === 'LI' && element.firstElementChild && element.firstElementChild.tagName === 'STRONG') {
+                const labelText = element.firstElementChild.textContent;
+                this.listItems.push({
+                    section,
+                    subsection,
+                    label: labelText.trim().replace(/:$/, ''),
+                    text: element.textContent.replace(labelText, '').trim()
+                });
+            } else if (tag === 'TABLE') {
+                this.tables.push({ section, subsection, table: element });
+            } else if (tag === 'P' && section === null) {
+                this.headerLines.push(element.textContent.replace(/\s+/g, ' ').trim());
             }
         }
     }
 
-    parseReportData(htmlContent) {
-        // Parse the HTML content to extract data
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(htmlContent, 'text/html');
-        
-        this.reportData = {
-            tenantInfo: this.extractTenantInfo(doc),
-            storageData: this.extractStorageData(doc),
-            growthData: this.extractGrowthData(doc),
-            costAnalysis: this.extractCostAnalysis(doc),
-            teamsData: this.extractTeamsData(doc),
-            sitesData: this.extractSitesData(doc),
-            licensingData: this.extractLicensingData(doc),
-            mailboxData: this.extractMailboxData(doc),
-            top5Data: this.extractTop5Data(doc)
-        };
+    static parseValue(text, type) {
+        if (text === null || text === undefined) {
+            return null;
+        }
+        if (type === 'text') {
+            return text === '' ? null : text;
+        }
+        if (type === 'date') {
+            const timestamp = Date.parse(text);
+            return isNaN(timestamp) ? NaN : new Date(timestamp).toISOString();
+        }
+
+        const match = text.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+        if (!match) {
+            return NaN;
+        }
+        const number = parseFloat(match[0]);
+
+        if (type === 'size') {
+            const unit = (text.match(/\b(TB|GB|MB)\b/i) || [null, 'GB'])[1].toUpperCase();
+            if (unit === 'TB') {
+                return number * 1024;
+            }
+            return unit === 'MB' ? number / 1024 : number;
+        }
+        if (type === 'integer') {
+            return Math.round(number);
+        }
+        return number;
     }
 
-    extractTenantInfo(doc) {
-        const tenantName = this.extractTextByLabel(doc, 'Tenant Name') || 'Unknown';
-        const totalUsers = this.extractNumberByLabel(doc, 'Total Users') || 0;
-        const activeUsers = this.extractNumberByLabel(doc, 'Active Users') || 0;
-        const guestUsers = this.extractNumberByLabel(doc, 'Guest Users') || 0;
+    // Scoping: a field without a subsection only matches entries directly under its <h2>
+    inScope(entry, spec) {
+        return entry.section === spec.section && entry.subsection === (spec.subsection || null);
+    }
 
-        return { tenantName, totalUsers, activeUsers, guestUsers };
+    findHeaderEntry(label) {
+        // Header lines look like "Organization: Contoso | Generated: October 15, 2025"
+        const pattern = new RegExp(`(?:^|\\|)\\s*${label}(?: on)?:\\s*([^|]+)`);
+        for (let line of this.headerLines) {
+            const match = line.match(pattern);
+            if (match) {
+                return { text: match[1].trim() };
+            }
+        }
+        return null;
     }
 
-    extractStorageData(doc) {
-        const exchangeSize = this.extractNumberByLabel(doc, 'Exchange Online') || 0;
-        const oneDriveSize = this.extractNumberByLabel(doc, 'OneDrive for Business') || 0;
-        const sharePointSize = this.extractNumberByLabel(doc, 'SharePoint Online') || 0;
-        const totalSize = this.extractNumberByLabel(doc, 'Total Storage') || 0;
+    readField(path, spec) {
+        const diagnostic = {
+            field: path,
+            section: spec.header ? 'Report header' : spec.section,
+            label: spec.label || spec.listItem || spec.header,
+            raw: null
+        };
+        this.diagnostics.push(diagnostic);
+
+        if (spec.emitted === false) {
+            diagnostic.status = 'unsupported';
+            return null;
+        }
+
+        let entry;
+        if (spec.header) {
+            entry = this.findHeaderEntry(spec.header);
+        } else {
+            const entries = spec.listItem ? this.listItems : this.metrics;
+            const labelText = spec.listItem || spec.label;
+            entry = entries.find(candidate => this.inScope(candidate, spec) && candidate.label === labelText);
+        }
+        const value = entry ? ReportReader.parseValue(entry.text, spec.type) : null;
+
+        if (entry) {
+            diagnostic.raw = entry.text;
+        }
+        if (value !== null && !Number.isNaN(value)) {
+            diagnostic.status = 'found';
+            return value;
+        }
+
+        diagnostic.status = entry ? 'invalid' : 'missing';
+        if (spec.default !== undefined) {
+            diagnostic.reason = diagnostic.status;
+            diagnostic.status = 'defaulted';
+            diagnostic.fallback = spec.default;
+            return spec.default;
+        }
+        return null;
+    }
 
-        return { exchangeSize, oneDriveSize, sharePointSize, totalSize };
+    readGroup(group) {
+        const result = {};
+        Object.entries(this.map.fields[group] || {}).forEach(([key, spec]) => {
+            result[key] = this.readField(`${group}.${key}`, spec);
+        });
+        return result;
     }
 
-    extractGrowthData(doc) {
-        const currentSize = this.extractNumberByLabel(doc, 'Total Storage') || 0;
-        const projections = {};
-        
-        // Extract growth projections from table
-        const tableRows = doc.querySelectorAll('table tbody tr');
-        tableRows.forEach(row => {
+    readTable(name) {
+        const spec = this.map.tables[name];
+        const diagnostic = { field: `tables.${name}`, section: spec.section, label: spec.subsection || spec.section, raw: null };
+        this.diagnostics.push(diagnostic);
+
+        const entry = this.tables.find(candidate => this.inScope(candidate, spec));
+        if (!entry) {
+            diagnostic.status = 'missing';
+            return [];
+        }
+
+        const rows = [];
+        entry.table.querySelectorAll('tbody tr').forEach(row => {
             const cells = row.querySelectorAll('td');
-            if (cells.length >= 3) {
-                const rate = parseInt(cells[0].textContent.replace('%', ''));
-                const projectedSize = parseFloat(cells[1].textContent);
-                projections[rate] = projectedSize;
+            // Placeholder rows such as "No mailbox data available" span all columns
+            if (cells.length < spec.columns.length) {
+                return;
+            }
+            if (spec.summaryRow && cells[0].textContent.trim() === spec.summaryRow) {
+                return;
+            }
+            const parsed = {};
+            const valid = spec.columns.every((column, index) => {
+                parsed[column.key] = ReportReader.parseValue(cells[index].textContent.trim(), column.type);
+                return parsed[column.key] !== null && !Number.isNaN(parsed[column.key]);
+            });
+            if (valid) {
+                rows.push(parsed);
             }
         });
 
-        return { currentSize, projections };
+        diagnostic.status = 'found';
+        diagnostic.raw = `${rows.length} rows`;
+        return rows;
     }
 
-    extractSitesData(doc) {
-        const oneDriveAccounts = this.extractNumberByLabel(doc, 'OneDrive Accounts') || 0;
-        const sharePointSites = this.extractNumberByLabel(doc, 'SharePoint Sites') || 0;
-        const teamsSites = this.extractNumberByLabel(doc, 'Teams Sites') || 0;
-        const totalSites = this.extractNumberByLabel(doc, 'Total Sites') || 0;
+    getDiagnostics() {
+        return {
+            version: this.version,
+            detectedVersion: this.detectedVersion,
+            fields: this.diagnostics
+        };
+    }
+}
 
-        return { oneDriveAccounts, sharePointSites, teamsSites, totalSites };
+// Browser-local store of uploaded reports. Keeps the raw file so reopening a
+// report always goes through the current parser.
+class ReportLibrary {
+    constructor(dbName = 'hycu-m365-dashboard', storeName = 'reports') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+        this.pendingSave = Promise.resolve();
     }
 
-    extractLicensingData(doc) {
-        const licensedUsers = this.extractNumberByLabel(doc, 'Total Licensed Users') || 0;
-        const hycuEntitlement = this.extractNumberByLabel(doc, 'HYCU Entitlement (50 GB/user)') || 0;
-        const currentUsage = this.extractNumberByLabel(doc, 'Current Usage') || 0;
-        const additionalLicenses = this.extractNumberByLabel(doc, 'Additional Licenses Needed') || 0;
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
 
-        return { licensedUsers, hycuEntitlement, currentUsage, additionalLicenses };
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('tenantName', 'tenantName');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
     }
 
-    extractMailboxData(doc) {
-        const totalMailboxes = this.extractNumberByLabel(doc, 'Total Mailboxes') || 0;
-        const regularMailboxes = this.extractNumberByLabel(doc, 'Regular Mailboxes') || 0;
-        const sharedMailboxes = this.extractNumberByLabel(doc, 'Shared Mailboxes') || 0;
-        const resourceMailboxes = this.extractNumberByLabel(doc, 'Resource Mailboxes') || 0;
-        const archiveMailboxes = this.extractNumberByLabel(doc, 'Archive Mailboxes') || 0;
-        const archivePercentage = this.extractNumberByLabel(doc, 'Archive %') || 0;
-        const sharedAllowance = this.extractNumberByLabel(doc, '20% Allowance') || 0;
-        const excessShared = this.extractNumberByLabel(doc, 'Excess Shared') || 0;
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // A quota error or an abort ends the transaction without onerror
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
 
-        return { 
-            totalMailboxes, 
-            regularMailboxes, 
-            sharedMailboxes, 
-            resourceMailboxes,
-            archiveMailboxes,
-            archivePercentage,
-            sharedAllowance,
-            excessShared
+    // Newest first. Report dates can be free-form text, so they are compared as
+    // timestamps, falling back to when the report was saved.
+    async list() {
+        const records = await this.run('readonly', store => store.getAll());
+        const timestamp = record => {
+            const generated = Date.parse(record.generatedOn);
+            return isNaN(generated) ? Date.parse(record.savedOn) || 0 : generated;
         };
+        return records.sort((a, b) => timestamp(b) - timestamp(a));
     }
 
-    extractTop5Data(doc) {
-        // Extract Top 5 data from tables
-        const top5Mailboxes = this.extractTop5FromTable(doc, 'Top 5 Mailboxes');
-        const top5OneDrive = this.extractTop5FromTable(doc, 'Top 5 OneDrive');
-        const top5SharePoint = this.extractTop5FromTable(doc, 'Top 5 SharePoint');
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
 
-        return {
-            mailboxes: top5Mailboxes,
-            oneDrive: top5OneDrive,
-            sharePoint: top5SharePoint
-        };
+    // Saving the same file again refreshes the existing entry instead of adding a
+    // copy; saves are queued so concurrent uploads cannot race the duplicate check
+    save(record) {
+        const result = this.pendingSave.then(() => this.saveRecord(record));
+        this.pendingSave = result.catch(() => {});
+        return result;
     }
 
-    extractTop5FromTable(doc, sectionTitle) {
-        const data = [];
-        
-        // Find the section by looking for the heading
-        const headings = doc.querySelectorAll('h3');
-        let targetSection = null;
-        
-        for (let heading of headings) {
-            if (heading.textContent.includes(sectionTitle)) {
-                targetSection = heading.closest('div');
-                break;
-            }
-        }
-        
-        if (targetSection) {
-            const table = targetSection.querySelector('table tbody');
-            if (table) {
-                const rows = table.querySelectorAll('tr');
-                rows.forEach(row => {
-                    const cells = row.querySelectorAll('td');
-                    if (cells.length >= 2) {
-                        const name = cells[0].textContent.trim();
-                        const size = parseFloat(cells[1].textContent.replace(/[^\d.-]/g, ''));
-                        if (!isNaN(size)) {
-                            data.push({ name, size });
-                        }
-                    }
-                });
-            }
+    async saveRecord(record) {
+        const existing = (await this.list()).find(entry =>
+            entry.fileName === record.fileName &&
+            entry.tenantName === record.tenantName &&
+            entry.generatedOn === record.generatedOn);
+        if (existing) {
+            return this.update(existing.id, { content: record.content, savedOn: record.savedOn });
         }
-        
-        return data.slice(0, 5); // Limit to top 5
+        return this.run('readwrite', store => store.add(record));
     }
 
-    extractCostAnalysis(doc) {
-        const monthlyStorage = this.extractNumberByLabel(doc, 'Monthly Storage Cost') || 0;
-        const monthlyUser = this.extractNumberByLabel(doc, 'Monthly User Cost') || 0;
-        const totalMonthly = this.extractNumberByLabel(doc, 'Total Monthly Cost') || 0;
-        const annual = this.extractNumberByLabel(doc, 'Annual Cost') || 0;
+    async update(id, changes) {
+        const record = await this.get(id);
+        if (!record) {
+            return null;
+        }
+        return this.run('readwrite', store => store.put({ ...record, ...changes }));
+    }
 
-        return { monthlyStorage, monthlyUser, totalMonthly, annual };
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
     }
+}
 
-    extractTeamsData(doc) {
-        const totalTeams = this.extractNumberByLabel(doc, 'Teams') || 0;
-        const totalGroups = this.extractNumberByLabel(doc, 'Groups') || 0;
-        
-        // Extract Teams cost information
-        const costPerMessage = this.extractTextByLabel(doc, 'Cost per message/notification');
-        const costPerMillion = this.extractTextByLabel(doc, 'Cost per million messages');
-        
-        return { 
-            totalTeams, 
-            totalGroups,
-            costPerMessage: costPerMessage || '$0.00075',
-            costPerMillion: costPerMillion || '$750'
-        };
+// Saved proposal PDF settings, keyed by template name. Templates are small
+// apart from the logo, so localStorage is enough.
+class ProposalTemplateStore {
+    constructor(storageKey = 'hycu-m365-proposal-templates') {
+        this.storageKey = storageKey;
     }
 
-    extractTextByLabel(doc, label) {
-        const elements = doc.querySelectorAll('.metric-label');
-        for (let element of elements) {
-            if (element.textContent.includes(label)) {
-                const valueElement = element.previousElementSibling;
-                return valueElement ? valueElement.textContent.trim() : null;
-            }
-        }
-        return null;
+    static isSupported() {
+        return typeof localStorage !== 'undefined';
     }
 
-    extractNumberByLabel(doc, label) {
-        const text = this.extractTextByLabel(doc, label);
-        if (text) {
-            const number = parseFloat(text.replace(/[^\d.-]/g, ''));
-            return isNaN(number) ? 0 : number;
+    list() {
+        try {
+            const templates = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(templates) ? templates : [];
+        } catch (error) {
+            console.error('Error reading proposal templates:', error);
+            return [];
         }
-        return 0;
     }
 
-    showLoading() {
-        document.getElementById('upload-section').classList.add('hidden');
-        document.getElementById('loading-section').classList.remove('hidden');
-        document.getElementById('dashboard-section').classList.add('hidden');
+    get(name) {
+        return this.list().find(template => template.name === name) || null;
     }
 
-    displayDashboard() {
-        document.getElementById('loading-section').classList.add('hidden');
-        document.getElementById('dashboard-section').classList.remove('hidden');
-        
-        this.populateTenantInfo();
-        this.populateStorageData();
-        this.populateGrowthData();
-        this.populateCostAnalysis();
-        this.populateSitesData();
-        this.populateTeamsData();
-        this.populateLicensingData();
-        this.populateMailboxData();
-        this.createCharts();
+    // Throws when the browser storage quota is exceeded (usually a large logo)
+    save(template) {
+        const templates = this.list().filter(entry => entry.name !== template.name);
+        templates.push(template);
+        templates.sort((a, b) => a.name.localeCompare(b.name));
+        localStorage.setItem(this.storageKey, JSON.stringify(templates));
     }
 
-    populateTenantInfo() {
-        const data = this.reportData.tenantInfo;
-        document.getElementById('tenant-name').textContent = data.tenantName;
-        document.getElementById('total-users').textContent = data.totalUsers.toLocaleString();
-        document.getElementById('active-users').textContent = data.activeUsers.toLocaleString();
-        document.getElementById('guest-users').textContent = data.guestUsers.toLocaleString();
+    remove(name) {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.list().filter(template => template.name !== name)));
     }
+}
 
-    populateStorageData() {
-        const data = this.reportData.storageData;
-        document.getElementById('exchange-size').textContent = data.exchangeSize.toFixed(1);
-        document.getElementById('onedrive-size').textContent = data.oneDriveSize.toFixed(1);
-        document.getElementById('sharepoint-size').textContent = data.sharePointSize.toFixed(1);
-        document.getElementById('total-size').textContent = data.totalSize.toFixed(1);
+// Pseudonymizes tenant, user and site names with HMAC-SHA256 under a key kept in
+// localStorage, so a name always maps to the same pseudonym on this machine.
+// Every pseudonym handed out is also saved to a mapping encrypted with AES-GCM
+// under the same key, so it can be reversed later without the original report.
+class Redactor {
+    constructor(storageKey = 'hycu-m365-redaction-key') {
+        this.storageKey = storageKey;
+        this.clear();
     }
 
-    populateGrowthData() {
-        // Growth data will be displayed in the chart
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
     }
 
-    populateSitesData() {
-        const data = this.reportData.sitesData;
-        document.getElementById('onedrive-accounts').textContent = data.oneDriveAccounts.toLocaleString();
-        document.getElementById('sharepoint-sites').textContent = data.sharePointSites.toLocaleString();
-        document.getElementById('teams-sites').textContent = data.teamsSites.toLocaleString();
-        document.getElementById('total-sites').textContent = data.totalSites.toLocaleString();
+    static fromHex(hex) {
+        return new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
     }
 
-    populateTeamsData() {
-        const data = this.reportData.teamsData;
-        document.getElementById('total-teams').textContent = data.totalTeams.toLocaleString();
-        document.getElementById('total-groups').textContent = data.totalGroups.toLocaleString();
-        document.getElementById('teams-cost-per-message').textContent = data.costPerMessage;
-        document.getElementById('teams-cost-per-million').textContent = data.costPerMillion;
+    static isSupported() {
+        return typeof localStorage !== 'undefined' && !!(window.crypto && window.crypto.subtle);
     }
 
-    populateLicensingData() {
-        const data = this.reportData.licensingData;
-        document.getElementById('licensed-users').textContent = data.licensedUsers.toLocaleString();
-        document.getElementById('hycu-entitlement').textContent = data.hycuEntitlement.toLocaleString();
-        document.getElementById('current-usage').textContent = data.currentUsage.toLocaleString();
-        document.getElementById('additional-licenses').textContent = data.additionalLicenses.toLocaleString();
+    clear() {
+        this.cryptoKey = null;
+        this.mappingKey = null;
+        this.mappingLoaded = false;
+        this.mappingChanged = false;
+        this.pseudonyms = new Map();
+        this.originals = new Map();
     }
 
-    populateMailboxData() {
-        const data = this.reportData.mailboxData;
-        document.getElementById('total-mailboxes').textContent = data.totalMailboxes.toLocaleString();
-        document.getElementById('regular-mailboxes').textContent = data.regularMailboxes.toLocaleString();
-        document.getElementById('shared-mailboxes').textContent = data.sharedMailboxes.toLocaleString();
-        document.getElementById('resource-mailboxes').textContent = data.resourceMailboxes.toLocaleString();
-        document.getElementById('archive-mailboxes').textContent = data.archiveMailboxes.toLocaleString();
-        document.getElementById('archive-percentage').textContent = data.archivePercentage.toFixed(1) + '%';
-        document.getElementById('shared-allowance').textContent = data.sharedAllowance.toLocaleString();
-        document.getElementById('excess-shared').textContent = data.excessShared.toLocaleString();
+    // 32 random bytes as hex, created on first use
+    getKey() {
+        let key = localStorage.getItem(this.storageKey);
+        if (!key) {
+            key = Redactor.toHex(crypto.getRandomValues(new Uint8Array(32)));
+            localStorage.setItem(this.storageKey, key);
+        }
+        return key;
     }
 
-    populateCostAnalysis() {
-        const data = this.reportData.costAnalysis;
-        document.getElementById('monthly-storage-cost').textContent = `$${data.monthlyStorage.toFixed(2)}`;
-        document.getElementById('monthly-user-cost').textContent = `$${data.monthlyUser.toFixed(2)}`;
-        document.getElementById('total-monthly-cost').textContent = `$${data.totalMonthly.toFixed(2)}`;
-        document.getElementById('annual-cost').textContent = `$${data.annual.toFixed(2)}`;
+    setKey(key) {
+        if (!/^[0-9a-f]{64}$/i.test(key)) {
+            throw new Error('A redaction key is 64 hexadecimal characters.');
+        }
+        localStorage.setItem(this.storageKey, key.toLowerCase());
+        this.clear();
     }
 
-    createCharts() {
-        this.createStorageDistributionChart();
-        this.createTop5Charts();
+    resetKey() {
+        localStorage.removeItem(this.storageKey);
+        this.clear();
     }
 
+    async getCryptoKey() {
+        if (!this.cryptoKey) {
+            const bytes = Redactor.fromHex(this.getKey());
+            this.cryptoKey = await crypto.subtle.importKey('raw', bytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        }
+        return this.cryptoKey;
+    }
 
+    // Each key has its own mapping, stored under a hash of the key so that
+    // switching back to an exported key finds its pseudonyms again
+    async getMappingStorageKey() {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(this.getKey()));
+        return `${this.storageKey}-mapping-${Redactor.toHex(new Uint8Array(digest).slice(0, 8))}`;
+    }
 
-    createTop5Charts() {
-        this.createTop5MailboxesChart();
-        this.createTop5OneDriveChart();
-        this.createTop5SharePointChart();
+    async getMappingKey() {
+        if (!this.mappingKey) {
+            const base = await crypto.subtle.importKey('raw', Redactor.fromHex(this.getKey()), 'HKDF', false, ['deriveKey']);
+            this.mappingKey = await crypto.subtle.deriveKey(
+                { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode('hycu-m365-redaction-mapping') },
+                base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        }
+        return this.mappingKey;
     }
 
-    createTop5MailboxesChart() {
-        const ctx = document.getElementById('top5-mailboxes-chart').getContext('2d');
-        const data = this.reportData.top5Data.mailboxes;
+    // Merges the stored mapping into the pseudonyms seen in this session. A
+    // mapping that cannot be decrypted is left alone rather than overwritten.
+    async loadMapping() {
+        if (this.mappingLoaded) {
+            return;
+        }
+        const stored = localStorage.getItem(await this.getMappingStorageKey());
+        if (stored) {
+            try {
+                const { iv, data } = JSON.parse(stored);
+                const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: Redactor.fromHex(iv) }, await this.getMappingKey(), Redactor.fromHex(data));
+                JSON.parse(new TextDecoder().decode(plain)).forEach(([id, pseudonym]) => {
+                    this.pseudonyms.set(id, pseudonym);
+                    this.originals.set(pseudonym, id.slice(id.indexOf(':') + 1));
+                });
+            } catch (error) {
+                console.error('Error reading the redaction mapping:', error);
+                return;
+            }
+        }
+        this.mappingLoaded = true;
+    }
+
+    async saveMapping() {
+        if (!this.mappingLoaded) {
+            return;
+        }
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plain = new TextEncoder().encode(JSON.stringify(Array.from(this.pseudonyms.entries())));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await this.getMappingKey(), plain);
+        try {
+            localStorage.setItem(await this.getMappingStorageKey(), JSON.stringify({ iv: Redactor.toHex(iv), data: Redactor.toHex(new Uint8Array(data)) }));
+        } catch (error) {
+            console.error('Error saving the redaction mapping:', error);
+        }
+    }
+
+    // 8 bytes (64 bits) of the HMAC keeps collisions unlikely even across
+    // large tenants
+    async pseudonym(kind, name) {
+        if (!name) {
+            return name;
+        }
+        await this.loadMapping();
+        const id = `${kind}:${name}`;
+        if (!this.pseudonyms.has(id)) {
+            const signature = await crypto.subtle.sign('HMAC', await this.getCryptoKey(), new TextEncoder().encode(id));
+            const hex = Redactor.toHex(new Uint8Array(signature).slice(0, 8));
+            const pseudonym = `${REDACTION_KINDS[kind]}-${hex.toUpperCase()}`;
+            this.pseudonyms.set(id, pseudonym);
+            this.originals.set(pseudonym, name);
+            this.mappingChanged = true;
+        }
+        return this.pseudonyms.get(id);
+    }
+
+    // Returns a redacted copy; the original reportData is left untouched
+    async redactReport(reportData) {
+        const copy = JSON.parse(JSON.stringify(reportData));
+        copy.tenantInfo.tenantName = await this.pseudonym('tenant', copy.tenantInfo.tenantName);
+        for (const workload of TOP_N_WORKLOADS) {
+            for (const item of copy.top5Data[workload.key]) {
+                item.name = await this.pseudonym(workload.redactAs, item.name);
+            }
+        }
+
+        // Raw text kept for parse diagnostics can repeat the tenant name
+        if (copy.parseDiagnostics) {
+            copy.parseDiagnostics.fields.forEach(field => {
+                field.raw = this.redactText(field.raw);
+            });
+        }
+        await this.flushMapping();
+        return copy;
+    }
+
+    // Saves pseudonyms handed out since the last save
+    async flushMapping() {
+        if (this.mappingChanged) {
+            this.mappingChanged = false;
+            await this.saveMapping();
+        }
+    }
+
+    // Replaces every name pseudonymized so far, longest first so a name that
+    // contains another is replaced whole. HTML-escaped spellings are covered too.
+    redactText(text) {
+        if (!text) {
+            return text;
+        }
+        const escapeHtml = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        return Array.from(this.originals.entries())
+            .sort((a, b) => b[1].length - a[1].length)
+            .reduce((result, [pseudonym, name]) =>
+                result.split(name).join(pseudonym).split(escapeHtml(name)).join(pseudonym), text);
+    }
+
+    async reveal(pseudonym) {
+        await this.loadMapping();
+        const wanted = pseudonym.trim().toUpperCase();
+        const match = Array.from(this.originals.keys()).find(key => key.toUpperCase() === wanted);
+        return match ? this.originals.get(match) : null;
+    }
+}
+
+// Owns every Chart.js instance on the page, keyed by canvas id. Rendering a
+// chart replaces whatever was drawn on that canvas before.
+class ChartRegistry {
+    constructor(theme = CHART_THEME) {
+        this.theme = theme;
+        this.charts = new Map();
+        Chart.defaults.font.family = theme.fontFamily;
+        Chart.defaults.color = theme.textColor;
+        Chart.defaults.responsive = true;
+        Chart.defaults.maintainAspectRatio = false;
+    }
+
+    get(canvasId) {
+        return this.charts.get(canvasId) || null;
+    }
+
+    render(canvasId, config) {
+        this.destroy(canvasId);
+        const canvas = document.getElementById(canvasId);
+        this.setEmptyState(canvas, null);
+        this.attachDownloadActions(canvas);
+        const chart = new Chart(canvas.getContext('2d'), config);
+        this.charts.set(canvasId, chart);
+        return chart;
+    }
+
+    // Updates an existing chart in place (no flicker while dragging a slider)
+    update(canvasId, config) {
+        const chart = this.get(canvasId);
+        if (!chart || chart.config.type !== config.type) {
+            return this.render(canvasId, config);
+        }
+        chart.data = config.data;
+        chart.options = config.options;
+        chart.update();
+        return chart;
+    }
+
+    destroy(canvasId) {
+        const chart = this.charts.get(canvasId);
+        if (chart) {
+            chart.destroy();
+            this.charts.delete(canvasId);
+        }
+    }
+
+    // Destroys every chart drawn inside root (the whole page by default)
+    destroyAll(root = document.body) {
+        Array.from(this.charts.entries())
+            .filter(([, chart]) => root.contains(chart.canvas))
+            .forEach(([canvasId]) => this.destroy(canvasId));
+    }
+
+    showEmpty(canvasId, message = 'No data available') {
+        this.destroy(canvasId);
+        this.setEmptyState(document.getElementById(canvasId), message);
+    }
+
+    // The message replaces the canvas inside its sized container
+    setEmptyState(canvas, message) {
+        const container = canvas.parentElement;
+        let empty = container.querySelector('.chart-empty');
+        container.classList.toggle('is-empty', message !== null);
+        canvas.classList.toggle('hidden', message !== null);
+        if (message === null) {
+            if (empty) {
+                empty.remove();
+            }
+            return;
+        }
+        if (!empty) {
+            empty = document.createElement('div');
+            empty.className = 'chart-empty';
+            container.appendChild(empty);
+        }
+        empty.innerHTML = '<i class="fas fa-chart-bar"></i><span></span>';
+        empty.querySelector('span').textContent = message;
+    }
+
+    attachDownloadActions(canvas) {
+        const container = canvas.parentElement;
+        if (container.querySelector('.chart-actions')) {
+            return;
+        }
+        const actions = document.createElement('div');
+        actions.className = 'chart-actions';
+        ['png', 'svg'].forEach(format => {
+            const button = document.createElement('button');
+            button.className = 'icon-button';
+            button.title = `Download as ${format.toUpperCase()}`;
+            button.innerHTML = `<i class="fas fa-download"></i> ${format.toUpperCase()}`;
+            button.addEventListener('click', () => this.download(canvas.id, format));
+            actions.appendChild(button);
+        });
+        container.appendChild(actions);
+    }
+
+    // Chart.js only draws to canvas, so the SVG embeds the rendered image at full resolution
+    download(canvasId, format = 'png') {
+        const chart = this.get(canvasId);
+        if (!chart) {
+            return;
+        }
+        if (format === 'svg') {
+            const { width, height } = chart.canvas;
+            const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+                `<image width="${width}" height="${height}" href="${chart.toBase64Image('image/png', 1)}"/></svg>`;
+            downloadFile(new Blob([svg], { type: 'image/svg+xml' }), `${canvasId}.svg`);
+        } else {
+            chart.canvas.toBlob(blob => downloadFile(blob, `${canvasId}.png`), 'image/png');
+        }
+    }
+}
+
+class M365Dashboard {
+    constructor() {
+        this.reportData = null;
+        this.sourceReportData = null;
+        this.detailedReportHtml = null;
+        this.charts = new ChartRegistry();
+        this.topN = { count: 5, threshold: 100, search: '', workload: 'all', sortKey: 'size', sortDirection: 'desc' };
+        this.tenantReports = [];
+        this.costAssumptions = this.getDefaultCostAssumptions();
+        this.costEstimate = null;
+        this.mailboxRules = this.getDefaultMailboxRules();
+        this.mailboxLicensing = null;
+        this.capacitySettings = this.getDefaultCapacitySettings();
+        this.capacityForecast = null;
+        this.optimization = this.getDefaultOptimization();
+        this.backupPlan = this.getDefaultBackupPlan();
+        this.backupPlanSource = null;
+        this.compliance = { profiles: [] };
+        this.storageModel = this.getDefaultStorageModel();
+        this.library = ReportLibrary.isSupported() ? new ReportLibrary() : null;
+        this.proposalTemplates = ProposalTemplateStore.isSupported() ? new ProposalTemplateStore() : null;
+        this.proposal = this.getDefaultProposal();
+        this.redactor = Redactor.isSupported() ? new Redactor() : null;
+        this.redactionEnabled = false;
+        this.initializeEventListeners();
+        this.initializeCostAssumptions();
+        this.initializeMailboxRules();
+        this.initializeCapacitySettings();
+        this.initializeCostOptimization();
+        this.initializeBackupPlan();
+        this.initializeCompliance();
+        this.initializeStorageModel();
+        this.initializeReportLibrary();
+        this.initializeProposalOptions();
+        this.initializeTopNControls();
+        this.initializeRedaction();
+        this.initializeDetailedReport();
+
+        const applyGrowthButton = document.getElementById('apply-observed-growth');
+        if (applyGrowthButton) {
+            applyGrowthButton.addEventListener('click', () => this.applyObservedGrowth());
+        }
+    }
+
+    initializeEventListeners() {
+        const uploadArea = document.getElementById('upload-area');
+        const fileInput = document.getElementById('file-input');
+
+        // Drag and drop functionality
+        uploadArea.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            uploadArea.classList.add('dragover');
+        });
+
+        uploadArea.addEventListener('dragleave', () => {
+            uploadArea.classList.remove('dragover');
+        });
+
+        uploadArea.addEventListener('drop', (e) => {
+            e.preventDefault();
+            uploadArea.classList.remove('dragover');
+            const files = e.dataTransfer.files;
+            if (files.length > 0) {
+                this.processFiles(files);
+            }
+        });
+
+        // File input change
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.processFiles(e.target.files);
+            }
+        });
+
+        // Click to upload
+        uploadArea.addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        // Browse button click
+        const browseButton = document.getElementById('browse-button');
+        if (browseButton) {
+            browseButton.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent event bubbling to upload area
+                fileInput.click();
+            });
+        }
+
+        document.getElementById('export-pdf').addEventListener('click', () => exportToPDF());
+        document.getElementById('export-excel').addEventListener('click', () => exportToExcel());
+        document.getElementById('view-detailed-report').addEventListener('click', () => viewDetailedReport());
+
+        // Return to the upload section (and report library) from a loaded dashboard
+        const showUploadButton = document.getElementById('show-upload');
+        if (showUploadButton) {
+            showUploadButton.addEventListener('click', () => {
+                this.showUpload();
+                document.getElementById('upload-section').scrollIntoView({ behavior: 'smooth' });
+            });
+        }
+    }
+
+    getDefaultCostAssumptions() {
+        const assumptions = {};
+        COST_ASSUMPTIONS.forEach(field => {
+            assumptions[field.key] = field.defaultValue;
+        });
+        return assumptions;
+    }
+
+    initializeCostAssumptions() {
+        this.renderCostAssumptions();
+
+        const resetButton = document.getElementById('reset-assumptions');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                this.costAssumptions = this.getDefaultCostAssumptions();
+                this.renderCostAssumptions();
+                this.onCostAssumptionsChanged();
+            });
+        }
+    }
+
+    // Renders a slider plus number input for each entry in COST_ASSUMPTIONS
+    renderCostAssumptions() {
+        this.renderSettingInputs('cost-assumptions', 'assumption', COST_ASSUMPTIONS, this.costAssumptions, () => this.onCostAssumptionsChanged());
+    }
+
+    onCostAssumptionsChanged() {
+        if (!this.reportData) {
+            return;
+        }
+        this.populateCostAnalysis();
+        this.createGrowthProjectionChart();
+        // The headroom forecast includes the scenario growth rate
+        this.applyMailboxLicensing(this.reportData);
+        this.populateCapacityForecast();
+        this.populateCostOptimization();
+        this.populateBackupPlan();
+        this.populateCompliance();
+        this.populateStorageModel();
+        if (this.tenantReports.length > 1) {
+            this.populateComparisonTable();
+        }
+    }
+
+    // Recomputes the cost estimate the same way Get-CostAnalysis does, from the
+    // parsed storage and licensing data and the current assumptions.
+    // `minimumRetention` (years per BACKUP_WORKLOADS key) keeps a workload
+    // longer than the scenario retention, e.g. for a compliance profile.
+    calculateCostEstimate(assumptions = this.costAssumptions, reportData = this.reportData, minimumRetention = this.getComplianceRequirements(reportData).retention) {
+        const storage = reportData.storageData;
+        const licensedUsers = reportData.licensingData.licensedUsers;
+        const currentStorageGB = storage.totalSize !== null
+            ? storage.totalSize
+            : (storage.exchangeSize || 0) + (storage.oneDriveSize || 0) + (storage.sharePointSize || 0);
+
+        const compressedStorageGB = currentStorageGB * (1 - assumptions.compressionRate / 100);
+        const projectedStorageGB = compressedStorageGB * (1 + assumptions.growthRate / 100);
+
+        // Each workload's share of the projected storage, kept for its own
+        // retention; keyed by storageData field
+        const sizedWorkloads = BACKUP_WORKLOADS.filter(workload => workload.storageKey);
+        const sizedTotal = sizedWorkloads.reduce((total, workload) => total + (storage[workload.storageKey] || 0), 0);
+        const workloadStorage = {};
+        sizedWorkloads.forEach(workload => {
+            const retentionYears = Math.max(assumptions.retentionYears, minimumRetention[workload.key] || 0);
+            const share = sizedTotal > 0 ? (storage[workload.storageKey] || 0) / sizedTotal : 1 / sizedWorkloads.length;
+            workloadStorage[workload.storageKey] = {
+                retentionYears,
+                storageGB: projectedStorageGB * share * retentionStorageFactor(assumptions.dailyChangeRate, retentionYears)
+            };
+        });
+        const billedStorageGB = Object.values(workloadStorage).reduce((total, workload) => total + workload.storageGB, 0);
+
+        const monthlyStorage = billedStorageGB * assumptions.storageCostPerGB;
+        const tenantSizeTB = currentStorageGB / 1024;
+        const monthlyWorkerNode = tenantSizeTB * assumptions.workerNodeCostPerTB;
+        const totalMonthly = monthlyStorage + monthlyWorkerNode;
+
+        return {
+            currentStorageGB,
+            compressedStorageGB,
+            projectedStorageGB,
+            billedStorageGB,
+            workloadStorage,
+            tenantSizeTB,
+            monthlyStorage,
+            annualStorage: monthlyStorage * 12,
+            monthlyWorkerNode,
+            annualWorkerNode: monthlyWorkerNode * 12,
+            totalMonthly,
+            annual: totalMonthly * 12,
+            costPerLicensedUser: licensedUsers ? totalMonthly / licensedUsers : null
+        };
+    }
+
+    getDefaultMailboxRules() {
+        const rules = {};
+        MAILBOX_RULES.forEach(rule => {
+            rules[rule.key] = rule.defaultValue;
+        });
+        return rules;
+    }
+
+    initializeMailboxRules() {
+        this.renderMailboxRules();
+
+        const resetButton = document.getElementById('reset-mailbox-rules');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                this.mailboxRules = this.getDefaultMailboxRules();
+                this.renderMailboxRules();
+                this.onMailboxRulesChanged();
+            });
+        }
+    }
+
+    renderMailboxRules() {
+        this.renderSettingInputs('mailbox-rules', 'mailbox-rule', MAILBOX_RULES, this.mailboxRules, () => this.onMailboxRulesChanged());
+    }
+
+    // Numeric settings get a slider plus number input; settings with options
+    // get a select. Values are clamped and written back into `values`.
+    renderSettingInputs(containerId, idPrefix, fields, values, onChange) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            return;
+        }
+        container.innerHTML = '';
+
+        fields.forEach(field => {
+            const row = document.createElement('div');
+            row.className = 'assumption';
+            if (field.options) {
+                row.innerHTML = `
+                    <label for="${idPrefix}-${field.key}"><strong>${field.label}:</strong></label>
+                    <div class="assumption-inputs"><select id="${idPrefix}-${field.key}"></select></div>`;
+                const select = row.querySelector('select');
+                Object.entries(field.options).forEach(([value, label]) => select.add(new Option(label, value)));
+                select.value = values[field.key];
+                select.addEventListener('change', () => {
+                    values[field.key] = select.value;
+                    onChange();
+                });
+                container.appendChild(row);
+                return;
+            }
+
+            row.innerHTML = `
+                <label for="${idPrefix}-${field.key}"><strong>${field.label}:</strong> <span class="assumption-value"></span></label>
+                <div class="assumption-inputs">
+                    <input type="range" id="${idPrefix}-${field.key}" min="${field.min}" max="${field.max}" step="${field.step}">
+                    <input type="number" min="${field.min}" max="${field.max}" step="${field.step}" aria-label="${field.label}">
+                </div>`;
+            const slider = row.querySelector('input[type="range"]');
+            const number = row.querySelector('input[type="number"]');
+            const show = () => {
+                slider.value = values[field.key];
+                number.value = values[field.key];
+                row.querySelector('.assumption-value').textContent = field.format(values[field.key]);
+            };
+            const update = (value) => {
+                if (isNaN(value)) {
+                    return;
+                }
+                values[field.key] = Math.min(field.max, Math.max(field.min, value));
+                show();
+                onChange();
+            };
+            slider.addEventListener('input', () => update(parseFloat(slider.value)));
+            number.addEventListener('change', () => update(parseFloat(number.value)));
+            show();
+            container.appendChild(row);
+        });
+    }
+
+    onMailboxRulesChanged() {
+        if (!this.reportData) {
+            return;
+        }
+        this.applyMailboxLicensing(this.reportData);
+        this.populateLicensingData();
+        this.populateMailboxData();
+        if (this.tenantReports.length > 1) {
+            this.populateComparisonTable();
+        }
+    }
+
+    // Recomputes shared mailbox licensing the way Get-MailboxInformation does,
+    // with the allowance and resource/archive treatment taken from the rules.
+    // Returns null when the report lacks the licensed user or mailbox counts.
+    calculateMailboxLicensing(rules = this.mailboxRules, reportData = this.reportData) {
+        const licensedUsers = reportData.licensingData.licensedUsers;
+        const mailboxes = reportData.mailboxData;
+        if (licensedUsers === null || mailboxes.sharedMailboxes === null) {
+            return null;
+        }
+
+        const counts = {
+            resourceMailboxes: mailboxes.resourceMailboxes || 0,
+            archiveMailboxes: mailboxes.archiveMailboxes || 0
+        };
+        const treated = treatment => Object.keys(counts)
+            .filter(key => rules[key] === treatment)
+            .reduce((total, key) => total + counts[key], 0);
+
+        const allowance = Math.round(licensedUsers * rules.allowancePercent / 100);
+        const countedShared = mailboxes.sharedMailboxes + treated('shared');
+        const excessShared = Math.max(0, countedShared - allowance);
+        const excessLicenses = Math.ceil(excessShared / rules.mailboxesPerLicense);
+        const directLicenses = treated('licensed');
+
+        return {
+            allowance,
+            countedShared,
+            excessShared,
+            excessLicenses,
+            directLicenses,
+            mailboxLicenses: excessLicenses + directLicenses
+        };
+    }
+
+    // Recomputes additionalLicenses as storage licenses (usage over the pooled
+    // entitlement) plus mailbox licenses. The report's own figure is kept in
+    // reportedAdditionalLicenses so the rules can be re-applied.
+    applyMailboxLicensing(reportData) {
+        const licensing = reportData.licensingData;
+        if (!('reportedAdditionalLicenses' in licensing)) {
+            licensing.reportedAdditionalLicenses = licensing.additionalLicenses;
+        }
+
+        const capacity = this.calculateCapacityForecast(this.capacitySettings, reportData);
+        licensing.pooledEntitlement = capacity ? capacity.entitlement : null;
+        licensing.storageLicenses = capacity ? capacity.storageLicenses : licensing.reportedAdditionalLicenses;
+        if (reportData === this.reportData) {
+            this.capacityForecast = capacity;
+        }
+
+        const result = this.calculateMailboxLicensing(this.mailboxRules, reportData);
+        licensing.mailboxLicenses = result ? result.mailboxLicenses : null;
+        licensing.additionalLicenses = licensing.storageLicenses === null && licensing.mailboxLicenses === null
+            ? null
+            : (licensing.storageLicenses || 0) + (licensing.mailboxLicenses || 0);
+
+        if (reportData === this.reportData) {
+            this.mailboxLicensing = result;
+        }
+        return result;
+    }
+
+    getDefaultCapacitySettings() {
+        const settings = {};
+        CAPACITY_SETTINGS.forEach(field => {
+            settings[field.key] = field.defaultValue;
+        });
+        return settings;
+    }
+
+    initializeCapacitySettings() {
+        const render = () => this.renderSettingInputs('capacity-settings', 'capacity', CAPACITY_SETTINGS, this.capacitySettings, () => this.onCapacitySettingsChanged());
+        render();
+
+        const resetButton = document.getElementById('reset-capacity-settings');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                this.capacitySettings = this.getDefaultCapacitySettings();
+                render();
+                this.onCapacitySettingsChanged();
+            });
+        }
+    }
+
+    onCapacitySettingsChanged() {
+        if (!this.reportData) {
+            return;
+        }
+        this.applyMailboxLicensing(this.reportData);
+        this.populateLicensingData();
+        this.populateCapacityForecast();
+        if (this.tenantReports.length > 1) {
+            this.populateComparisonTable();
+        }
+    }
+
+    // Pooled entitlement is licensed users x the per-user entitlement. Usage is
+    // projected month by month for each parsed growth rate plus the cost
+    // scenario rate; year 1 of a parsed rate lands on the report's projection.
+    // Returns null when the report lacks current usage or licensed users, since
+    // a zero entitlement would read as measured rather than missing.
+    calculateCapacityForecast(settings = this.capacitySettings, reportData = this.reportData) {
+        const licensing = reportData.licensingData;
+        const growth = reportData.growthData;
+        const usage = typeof licensing.currentUsage === 'number' ? licensing.currentUsage : growth.currentSize;
+        const perUserGB = settings.entitlementPerUserGB;
+        const entitlement = (licensing.licensedUsers || 0) * perUserGB;
+        if (typeof usage !== 'number' || !(entitlement > 0)) {
+            return null;
+        }
+
+        const licensesFor = size => Math.ceil(Math.max(0, size - entitlement) / perUserGB);
+        const startDate = reportData.reportInfo.generatedOn ? new Date(reportData.reportInfo.generatedOn) : new Date();
+        const months = settings.horizonYears * 12;
+
+        const rates = Object.keys(growth.projections).map(Number).sort((a, b) => a - b)
+            .map(rate => {
+                const projected = growth.projections[rate];
+                const yearlyFactor = projected !== null && growth.currentSize > 0 ? projected / growth.currentSize : 1 + rate / 100;
+                return { rate, label: `${rate}% annual growth`, yearlyFactor };
+            });
+        const scenarioRate = this.costAssumptions.growthRate;
+        rates.push({ rate: scenarioRate, label: `Cost scenario (${scenarioRate}% growth)`, yearlyFactor: 1 + scenarioRate / 100, scenario: true });
+
+        const scenarios = rates.map(({ rate, label, yearlyFactor, scenario }) => {
+            const usageAt = month => usage * Math.pow(yearlyFactor, month / 12);
+            let breachMonth = null;
+            for (let month = 0; month <= months; month++) {
+                if (usageAt(month) > entitlement) {
+                    breachMonth = month;
+                    break;
+                }
+            }
+            const breachDate = breachMonth === null ? null : new Date(startDate.getFullYear(), startDate.getMonth() + breachMonth, 1);
+            const licensesByYear = [];
+            for (let year = 1; year <= settings.horizonYears; year++) {
+                licensesByYear.push(licensesFor(usageAt(year * 12)));
+            }
+            return { rate, label, scenario: !!scenario, breachMonth, breachDate, licensesByYear };
+        });
+
+        return {
+            perUserGB,
+            entitlement,
+            usage,
+            percentUsed: usage / entitlement * 100,
+            storageLicenses: licensesFor(usage),
+            horizonYears: settings.horizonYears,
+            scenarios
+        };
+    }
+
+    // Per-workload tier shares and retention (null follows the cost scenario),
+    // plus the settings in OPTIMIZATION_SETTINGS. Tier shares start from the
+    // report's StorageTiering when it has one. `loaded` holds what a
+    // cost-optimization JSON file reported, for reference.
+    getDefaultOptimization(storageTiering = this.reportData && this.reportData.backupPlan ? this.reportData.backupPlan.storageTiering : null) {
+        const settings = {};
+        OPTIMIZATION_SETTINGS.forEach(field => {
+            settings[field.key] = field.defaultValue;
+        });
+        const workloads = {};
+        TOP_N_WORKLOADS.forEach(workload => {
+            workloads[workload.key] = { retentionYears: null };
+            STORAGE_TIERS.forEach(tier => {
+                const recommended = storageTiering ? storageTiering.find(item => item.key === tier.key) : null;
+                workloads[workload.key][tier.key] = recommended ? recommended.percentage : tier.defaultShare;
+            });
+        });
+        return { settings, workloads, loaded: null };
+    }
+
+    initializeCostOptimization() {
+        this.renderOptimizationSettings();
+
+        document.getElementById('optimization-file').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadCostOptimization(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+        document.getElementById('reset-optimization').addEventListener('click', () => {
+            this.optimization = this.getDefaultOptimization();
+            this.renderOptimizationSettings();
+            this.populateCostOptimization();
+        });
+    }
+
+    renderOptimizationSettings() {
+        this.renderSettingInputs('optimization-settings', 'optimization', OPTIMIZATION_SETTINGS, this.optimization.settings, () => this.populateCostOptimization());
+    }
+
+    async loadCostOptimization(file) {
+        try {
+            let json;
+            try {
+                json = JSON.parse(await file.text());
+            } catch (error) {
+                throw new ReportFormatError('The file is not valid JSON.', [error.message]);
+            }
+            const issues = validateAgainstSchema(json, COST_OPTIMIZATION_SCHEMA);
+            if (issues.length > 0) {
+                throw new ReportFormatError('The JSON file does not match the cost optimization format.', issues);
+            }
+
+            this.optimization = this.mapCostOptimization(json, file.name);
+            this.renderOptimizationSettings();
+            this.populateCostOptimization();
+        } catch (error) {
+            console.error('Error loading cost optimization:', error);
+            alert(error instanceof ReportFormatError
+                ? this.reportErrorAlert(error)
+                : 'Error loading the cost optimization file.');
+        }
+    }
+
+    // Tier shares, tier price ratios, retention years and the compression ratio
+    // become editable starting values; the file's results are kept for reference
+    mapCostOptimization(json, fileName) {
+        const optimization = this.getDefaultOptimization();
+        const tiers = json.TieringOptimization.TierBreakdown;
+        const price = tier => (tier && tier.SizeGB > 0 ? tier.Cost / tier.SizeGB : null);
+        const hotPrice = price(tiers.Hot);
+
+        Object.values(optimization.workloads).forEach(workload => {
+            STORAGE_TIERS.forEach(tier => {
+                if (tiers[tier.source] && typeof tiers[tier.source].Percentage === 'number') {
+                    workload[tier.key] = tiers[tier.source].Percentage;
+                }
+            });
+        });
+        if (hotPrice) {
+            ['cool', 'archive'].forEach(key => {
+                const tierPrice = price(tiers[STORAGE_TIERS.find(tier => tier.key === key).source]);
+                if (tierPrice !== null) {
+                    optimization.settings[`${key}PricePercent`] = Math.round(tierPrice / hotPrice * 100);
+                }
+            });
+        }
+
+        const policies = (json.RetentionOptimization || {}).RetentionPolicies || {};
+        TOP_N_WORKLOADS.forEach(workload => {
+            const years = parseInt(policies[workload.label], 10);
+            if (!isNaN(years)) {
+                optimization.workloads[workload.key].retentionYears = years;
+            }
+        });
+
+        const compression = json.CompressionOptimization || {};
+        if (typeof compression.CompressionRatio === 'number') {
+            optimization.settings.compressedPercent = Math.round(compression.CompressionRatio * 100);
+        }
+        const roi = json.ROIAnalysis;
+        optimization.settings.implementationCost = roi.ImplementationCost;
+
+        const optimized = json.OptimizedCosts || {};
+        optimization.loaded = {
+            fileName,
+            currentMonthly: (json.CurrentCosts || {}).MonthlyTotal,
+            optimizedAnnual: optimized.OptimizedAnnualCost !== undefined ? optimized.OptimizedAnnualCost : json.TieringOptimization.OptimizedAnnualCost,
+            annualSavings: roi.AnnualSavings,
+            roiPercentage: roi.ROIPercentage,
+            paybackYears: roi.PaybackPeriodYears,
+            recommendations: json.Recommendations || []
+        };
+        return optimization;
+    }
+
+    // Starts from the live cost scenario's billed storage per workload. Optimized
+    // storage swaps the scenario compression for the optimized one and rescales
+    // retained changes to each workload's retention; it is then billed at the
+    // blended tier price. Worker node costs are unchanged.
+    calculateCostOptimization(optimization = this.optimization, assumptions = this.costAssumptions, reportData = this.reportData) {
+        const estimate = this.calculateCostEstimate(assumptions, reportData);
+        const settings = optimization.settings;
+        const storage = reportData.storageData;
+
+        const tierPrices = {
+            hot: assumptions.storageCostPerGB,
+            cool: assumptions.storageCostPerGB * settings.coolPricePercent / 100,
+            archive: assumptions.storageCostPerGB * settings.archivePricePercent / 100
+        };
+        const retainedChanges = years => retentionStorageFactor(assumptions.dailyChangeRate, years);
+        const compressionFactor = (settings.compressedPercent / 100) / (1 - assumptions.compressionRate / 100);
+
+        const workloads = TOP_N_WORKLOADS.map(workload => {
+            const tiers = optimization.workloads[workload.key];
+            const current = estimate.workloadStorage[workload.storageKey];
+            const retentionYears = tiers.retentionYears !== null ? tiers.retentionYears : current.retentionYears;
+            const sizeGB = storage[workload.storageKey] || 0;
+            const currentGB = current.storageGB;
+            const optimizedGB = currentGB * compressionFactor * retainedChanges(retentionYears) / retainedChanges(current.retentionYears);
+            const blendedPrice = STORAGE_TIERS.reduce((total, tier) => total + tiers[tier.key] / 100 * tierPrices[tier.key], 0);
+            return {
+                key: workload.key,
+                label: workload.label,
+                sizeGB,
+                retentionYears,
+                currentGB,
+                optimizedGB,
+                currentMonthly: currentGB * assumptions.storageCostPerGB,
+                optimizedMonthly: optimizedGB * blendedPrice
+            };
+        });
+
+        const optimizedMonthlyStorage = workloads.reduce((total, workload) => total + workload.optimizedMonthly, 0);
+        const optimizedMonthly = optimizedMonthlyStorage + estimate.monthlyWorkerNode;
+        const annualSavings = (estimate.totalMonthly - optimizedMonthly) * 12;
+        const implementationCost = settings.implementationCost;
+
+        return {
+            workloads,
+            tierPrices,
+            currentMonthly: estimate.totalMonthly,
+            currentAnnual: estimate.annual,
+            optimizedMonthlyStorage,
+            optimizedMonthly,
+            optimizedAnnual: optimizedMonthly * 12,
+            annualSavings,
+            roiPercentage: implementationCost > 0 ? annualSavings / implementationCost * 100 : null,
+            paybackYears: annualSavings > 0 ? implementationCost / annualSavings : null
+        };
+    }
+
+    // Targets from BACKUP_PLAN_SETTINGS plus a backup interval (hours) per
+    // workload, starting from the report's recommendations where it has them
+    getDefaultBackupPlan(recommended = null) {
+        const settings = {};
+        BACKUP_PLAN_SETTINGS.forEach(field => {
+            const value = recommended ? recommended[field.key] : null;
+            settings[field.key] = typeof value === 'number' && value >= field.min && value <= field.max
+                ? value
+                : field.defaultValue;
+        });
+        const intervals = {};
+        BACKUP_WORKLOADS.forEach(workload => {
+            const value = recommended ? recommended.intervals[workload.key] : undefined;
+            intervals[workload.key] = BACKUP_INTERVALS[value] ? value : workload.defaultInterval;
+        });
+        return { settings, intervals };
+    }
+
+    initializeBackupPlan() {
+        this.renderBackupPlanSettings();
+
+        document.getElementById('reset-backup-plan').addEventListener('click', () => {
+            const recommended = this.reportData ? this.reportData.backupPlan : null;
+            this.backupPlan = this.getDefaultBackupPlan(recommended);
+            this.renderBackupPlanSettings();
+            this.setBackupRetention(recommended && recommended.retentionYears
+                ? recommended.retentionYears
+                : COST_ASSUMPTIONS.find(assumption => assumption.key === 'retentionYears').defaultValue);
+        });
+    }
+
+    renderBackupPlanSettings() {
+        this.renderSettingInputs('backup-plan-settings', 'backup-plan', BACKUP_PLAN_SETTINGS, this.backupPlan.settings, () => this.populateBackupPlan());
+        this.renderBackupRetention();
+    }
+
+    // Retention is the cost scenario's, so changing it here updates the
+    // storage and cost figures everywhere else on the dashboard
+    renderBackupRetention() {
+        this.renderSharedAssumptions('backup-retention', 'backup-plan', ['retentionYears']);
+    }
+
+    // Draws cost scenario inputs on another card. Edits are written back to the
+    // scenario and re-render the Cost Estimation card's own inputs.
+    renderSharedAssumptions(containerId, idPrefix, keys) {
+        const fields = COST_ASSUMPTIONS.filter(field => keys.includes(field.key));
+        const values = {};
+        fields.forEach(field => {
+            values[field.key] = this.costAssumptions[field.key];
+        });
+        this.renderSettingInputs(containerId, idPrefix, fields, values, () => {
+            Object.assign(this.costAssumptions, values);
+            this.renderCostAssumptions();
+            this.onCostAssumptionsChanged();
+        });
+    }
+
+    // Redraws shared inputs when the scenario was changed from another card
+    refreshSharedAssumptions(containerId, idPrefix, keys) {
+        const stale = keys.some(key => {
+            const input = document.getElementById(`${idPrefix}-${key}`);
+            return input && Number(input.value) !== this.costAssumptions[key];
+        });
+        if (stale) {
+            this.renderSharedAssumptions(containerId, idPrefix, keys);
+        }
+    }
+
+    setBackupRetention(retentionYears) {
+        const field = COST_ASSUMPTIONS.find(assumption => assumption.key === 'retentionYears');
+        this.costAssumptions.retentionYears = Math.min(field.max, Math.max(field.min, retentionYears));
+        this.renderCostAssumptions();
+        this.onCostAssumptionsChanged();
+    }
+
+    // A newly shown report replaces the plan with its own recommendations;
+    // redraws of the same report (e.g. toggling redaction) keep the edits
+    syncBackupPlan() {
+        if (this.backupPlanSource === this.sourceReportData) {
+            return;
+        }
+        this.backupPlanSource = this.sourceReportData;
+        const recommended = this.reportData.backupPlan || null;
+        this.backupPlan = this.getDefaultBackupPlan(recommended);
+
+        // Retention is shared with the cost scenario, so a report without a
+        // recommendation goes back to the default rather than keeping the last one
+        const field = COST_ASSUMPTIONS.find(assumption => assumption.key === 'retentionYears');
+        const retentionYears = recommended && recommended.retentionYears ? recommended.retentionYears : field.defaultValue;
+        this.costAssumptions.retentionYears = Math.min(field.max, Math.max(field.min, retentionYears));
+        this.renderCostAssumptions();
+        this.renderBackupPlanSettings();
+
+        // The report's storage tiering seeds the optimization tiers unless a
+        // cost-optimization file was loaded
+        if (!this.optimization.loaded) {
+            this.optimization = this.getDefaultOptimization();
+            this.renderOptimizationSettings();
+        }
+    }
+
+    // Takes each workload's billed storage from the cost scenario and works
+    // out its schedule's run times and worst-case data loss. The interval only
+    // sets recovery points and RPO: storage follows retention and the daily
+    // change rate, which running more often does not change.
+    calculateBackupPlan(plan = this.backupPlan, assumptions = this.costAssumptions, reportData = this.reportData) {
+        const estimate = this.calculateCostEstimate(assumptions, reportData);
+        const minimumRetention = this.getComplianceRequirements(reportData).retention;
+        const { windowStart, rpoHours } = plan.settings;
+
+        const workloads = BACKUP_WORKLOADS.map(workload => {
+            const intervalHours = plan.intervals[workload.key];
+            const runTimes = [];
+            for (let hour = 0; hour < 24; hour += intervalHours) {
+                runTimes.push((windowStart + hour) % 24);
+            }
+            const stored = workload.storageKey ? estimate.workloadStorage[workload.storageKey] : null;
+            const storageGB = stored ? stored.storageGB : null;
+            const retentionYears = stored
+                ? stored.retentionYears
+                : Math.max(assumptions.retentionYears, minimumRetention[workload.key] || 0);
+            return {
+                key: workload.key,
+                label: workload.label,
+                color: workload.color,
+                intervalHours,
+                retentionYears,
+                runTimes: runTimes.sort((a, b) => a - b),
+                runsPerDay: runTimes.length,
+                recoveryPoints: runTimes.length * 365 * retentionYears,
+                meetsRpo: intervalHours <= rpoHours,
+                storageGB,
+                monthlyCost: storageGB === null ? null : storageGB * assumptions.storageCostPerGB
+            };
+        });
+
+        const recommended = reportData.backupPlan || null;
+        const failoverHours = recommended && recommended.disasterRecovery
+            ? parseHours(recommended.disasterRecovery.FailoverTime)
+            : null;
+
+        return {
+            workloads,
+            retentionYears: assumptions.retentionYears,
+            storageGB: estimate.billedStorageGB,
+            monthlyStorage: estimate.monthlyStorage,
+            failoverHours,
+            meetsRto: failoverHours === null ? null : failoverHours <= plan.settings.rtoHours,
+            rpoMisses: workloads.filter(workload => !workload.meetsRpo).map(workload => workload.label)
+        };
+    }
+
+    initializeCompliance() {
+        const container = document.getElementById('compliance-profiles');
+        container.addEventListener('change', (e) => {
+            const key = e.target.value;
+            this.compliance.profiles = this.compliance.profiles.filter(profile => profile !== key);
+            if (e.target.checked) {
+                this.compliance.profiles.push(key);
+            }
+            // Retention drives every storage and cost figure on the dashboard
+            this.onCostAssumptionsChanged();
+        });
+        this.renderComplianceProfiles();
+    }
+
+    // The report's own ComplianceRecommendations, when it has them, are offered
+    // as one more profile next to COMPLIANCE_PROFILES
+    getComplianceProfiles(reportData = this.reportData) {
+        const recommended = reportData ? reportData.complianceRecommendations : null;
+        if (!recommended) {
+            return COMPLIANCE_PROFILES;
+        }
+        const retention = {};
+        BACKUP_WORKLOADS.forEach(workload => {
+            retention[workload.key] = recommended.retentionYears;
+        });
+        const controls = [];
+        if (recommended.rightToErasure) {
+            controls.push('Personal data can be erased from backups on request');
+        }
+        if (recommended.accessControls) {
+            controls.push(recommended.accessControls);
+        }
+        return COMPLIANCE_PROFILES.concat({
+            key: 'report',
+            label: 'Report Recommendation',
+            description: 'ComplianceRecommendations in this report',
+            retention,
+            encryption: recommended.encryptionRequired,
+            auditLogging: recommended.auditLogging,
+            residency: recommended.dataResidency,
+            controls
+        });
+    }
+
+    // Redrawn only when the available profiles change, so focus stays put
+    renderComplianceProfiles() {
+        const container = document.getElementById('compliance-profiles');
+        const profiles = this.getComplianceProfiles();
+        const rendered = Array.from(container.querySelectorAll('input')).map(input => input.value);
+        if (rendered.join() === profiles.map(profile => profile.key).join()) {
+            return;
+        }
+        container.innerHTML = '';
+        profiles.forEach(profile => {
+            const label = document.createElement('label');
+            label.className = 'compliance-profile';
+            label.innerHTML = '<input type="checkbox"> <strong></strong> <span></span>';
+            const checkbox = label.querySelector('input');
+            checkbox.value = profile.key;
+            checkbox.checked = this.compliance.profiles.includes(profile.key);
+            label.querySelector('strong').textContent = profile.label;
+            label.querySelector('span').textContent = profile.description;
+            container.appendChild(label);
+        });
+    }
+
+    // Combines the selected profiles: the longest retention per workload wins,
+    // and encryption, audit logging, residency and controls add up
+    getComplianceRequirements(reportData = this.reportData) {
+        const profiles = this.getComplianceProfiles(reportData)
+            .filter(profile => this.compliance.profiles.includes(profile.key));
+        const retention = {};
+        BACKUP_WORKLOADS.forEach(workload => {
+            const years = profiles.map(profile => profile.retention[workload.key]).filter(value => value);
+            retention[workload.key] = years.length > 0 ? Math.max(...years) : null;
+        });
+
+        return {
+            profiles,
+            retention,
+            encryption: profiles.filter(profile => profile.encryption).map(profile => profile.label),
+            auditLogging: profiles.filter(profile => profile.auditLogging).map(profile => profile.label),
+            residency: profiles.filter(profile => profile.residency).map(profile => ({ profile: profile.label, residency: profile.residency })),
+            controls: profiles.flatMap(profile => profile.controls.map(control => ({ profile: profile.label, control })))
+        };
+    }
+
+    // Checklist for the PDF; retention items are met by construction because
+    // the storage estimate already keeps each workload for its minimum
+    getComplianceChecklist(requirements = this.getComplianceRequirements()) {
+        const plan = this.calculateBackupPlan();
+        const items = [];
+        plan.workloads.forEach(workload => {
+            const minimum = requirements.retention[workload.key];
+            if (minimum) {
+                items.push({
+                    text: `${workload.label} backups kept for at least ${minimum} years (plan keeps ${workload.retentionYears})`,
+                    checked: workload.retentionYears >= minimum
+                });
+            }
+        });
+        if (requirements.encryption.length > 0) {
+            items.push({ text: `Backups encrypted at rest and in transit (${requirements.encryption.join(', ')})`, checked: false });
+        }
+        if (requirements.auditLogging.length > 0) {
+            items.push({ text: `Audit logging enabled for backup and restore operations (${requirements.auditLogging.join(', ')})`, checked: false });
+        }
+        requirements.residency.forEach(({ profile, residency }) => {
+            items.push({ text: `Backup copies stored in ${residency} (${profile})`, checked: false });
+        });
+        requirements.controls.forEach(({ profile, control }) => {
+            items.push({ text: `${control} (${profile})`, checked: false });
+        });
+        return items;
+    }
+
+    getDefaultStorageModel() {
+        const settings = {};
+        STORAGE_MODEL_SETTINGS.forEach(field => {
+            settings[field.key] = field.defaultValue;
+        });
+        return settings;
+    }
+
+    initializeStorageModel() {
+        this.renderStorageModelSettings();
+
+        document.getElementById('reset-storage-model').addEventListener('click', () => {
+            this.storageModel = this.getDefaultStorageModel();
+            this.renderStorageModelSettings();
+            this.populateStorageModel();
+        });
+    }
+
+    renderStorageModelSettings() {
+        this.renderSharedAssumptions('storage-model-assumptions', 'storage-model', STORAGE_MODEL_ASSUMPTIONS);
+        this.renderSettingInputs('storage-model-settings', 'storage-model', STORAGE_MODEL_SETTINGS, this.storageModel, () => this.populateStorageModel());
+    }
+
+    // Simulates the protected storage of each workload month by month. Every
+    // month adds incrementals of (daily change rate × 30.4 days) of the
+    // workload's current size, which grows at the scenario rate. Backups older
+    // than the workload's retention (scenario or compliance minimum) expire.
+    // Full backups are kept while an unexpired incremental still depends on
+    // them; incremental forever rolls expired changes into the base full,
+    // which then tracks the workload's size at the start of the window.
+    calculateStorageModel(settings = this.storageModel, assumptions = this.costAssumptions, reportData = this.reportData) {
+        const estimate = this.calculateCostEstimate(assumptions, reportData);
+        const storage = reportData.storageData;
+        const fullEvery = parseInt(settings.fullBackupMonths, 10);
+        const compressed = 1 - assumptions.compressionRate / 100;
+        const monthlyGrowth = Math.pow(1 + assumptions.growthRate / 100, 1 / 12);
+        const changePerMonth = assumptions.dailyChangeRate / 100 * 365 / 12;
+
+        const sized = BACKUP_WORKLOADS.filter(workload => workload.storageKey);
+        const months = Math.max(12, ...sized.map(workload => estimate.workloadStorage[workload.storageKey].retentionYears * 12));
+
+        const workloads = sized.map(workload => {
+            const retentionMonths = estimate.workloadStorage[workload.storageKey].retentionYears * 12;
+            const sizeAt = month => (storage[workload.storageKey] || 0) * Math.pow(monthlyGrowth, month) * compressed;
+            const fulls = [];
+            const incrementals = [];
+            const series = [];
+
+            for (let month = 1; month <= months; month++) {
+                if (month === 1 || (fullEvery > 0 && (month - 1) % fullEvery === 0)) {
+                    fulls.push({ month, sizeGB: sizeAt(month - 1) });
+                }
+                incrementals.push({ month, sizeGB: sizeAt(month - 1) * changePerMonth });
+
+                const windowStart = month - retentionMonths;
+                const keptIncrementals = incrementals.filter(backup => backup.month > windowStart);
+                let fullGB;
+                if (fullEvery === 0) {
+                    fullGB = sizeAt(Math.max(0, windowStart));
+                } else {
+                    const base = fulls.filter(backup => backup.month <= windowStart + 1).pop();
+                    fullGB = fulls
+                        .filter(backup => backup.month > windowStart + 1 || backup === base)
+                        .reduce((total, backup) => total + backup.sizeGB, 0);
+                }
+                const incrementalGB = keptIncrementals.reduce((total, backup) => total + backup.sizeGB, 0);
+                series.push({ month, fullGB, incrementalGB, totalGB: fullGB + incrementalGB });
+            }
+
+            const last = series[series.length - 1];
+            return {
+                key: workload.key,
+                label: workload.label,
+                color: workload.color,
+                retentionYears: retentionMonths / 12,
+                series,
+                fullGB: last.fullGB,
+                incrementalGB: last.incrementalGB,
+                totalGB: last.totalGB,
+                peakGB: Math.max(...series.map(point => point.totalGB))
+            };
+        });
+
+        const totals = [];
+        for (let index = 0; index < months; index++) {
+            totals.push(workloads.reduce((total, workload) => total + workload.series[index].totalGB, 0));
+        }
+        const totalGB = totals[totals.length - 1];
+        return {
+            months,
+            workloads,
+            totals,
+            totalGB,
+            firstYearGB: totals[11],
+            fullGB: workloads.reduce((total, workload) => total + workload.fullGB, 0),
+            incrementalGB: workloads.reduce((total, workload) => total + workload.incrementalGB, 0),
+            monthlyCost: totalGB * assumptions.storageCostPerGB
+        };
+    }
+
+    isReportFile(file) {
+        const fileName = file.name.toLowerCase();
+        return fileName.endsWith('.html') || fileName.endsWith('.json');
+    }
+
+    // Reads one uploaded file into a reportData object without displaying it
+    async readReportFile(file) {
+        const text = await file.text();
+        const isJson = file.name.toLowerCase().endsWith('.json');
+        // Structured exports have no HTML to show in the detailed report view
+        const reportData = isJson ? this.parseJsonReportData(text) : this.parseReportData(text);
+        const htmlContent = isJson ? null : text;
+
+        // Reports without a readable header date fall back to the timestamp the
+        // PowerShell script puts in the file name (HYCU-M365-Sizing-YYYY-MM-DD-HHMM)
+        if (!reportData.reportInfo.generatedOn) {
+            const match = file.name.match(/(\d{4})-(\d{2})-(\d{2})-(\d{2})(\d{2})/);
+            if (match) {
+                const [, year, month, day, hour, minute] = match.map(Number);
+                reportData.reportInfo.generatedOn = new Date(year, month - 1, day, hour, minute).toISOString();
+            }
+        }
+        return { reportData, htmlContent, text };
+    }
+
+    initializeReportLibrary() {
+        const section = document.getElementById('report-library');
+        if (!this.library) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        document.getElementById('library-open-selected').addEventListener('click', () => {
+            const ids = Array.from(document.querySelectorAll('#library-table input[type="checkbox"]:checked'))
+                .map(checkbox => Number(checkbox.value));
+            this.openFromLibrary(ids);
+        });
+        this.renderReportLibrary();
+    }
+
+    async saveToLibrary(fileName, content, reportData) {
+        if (!this.library) {
+            return;
+        }
+        try {
+            await this.library.save({
+                name: reportData.tenantInfo.tenantName || fileName,
+                tenantName: reportData.tenantInfo.tenantName,
+                generatedOn: reportData.reportInfo.generatedOn,
+                savedOn: new Date().toISOString(),
+                fileName,
+                content,
+                tags: []
+            });
+            await this.renderReportLibrary();
+        } catch (error) {
+            console.error('Error saving report to the library:', error);
+        }
+    }
+
+    async renderReportLibrary() {
+        let records;
+        try {
+            records = await this.library.list();
+        } catch (error) {
+            console.error('Error reading the report library:', error);
+            return;
+        }
+
+        document.getElementById('library-empty').classList.toggle('hidden', records.length > 0);
+        document.getElementById('library-content').classList.toggle('hidden', records.length === 0);
+
+        // While redaction is on, tenant names are pseudonymized here too, along
+        // with report names that repeat a redacted name
+        if (this.redactionEnabled) {
+            for (const record of records) {
+                await this.redactor.pseudonym('tenant', record.tenantName);
+            }
+            await this.redactor.flushMapping();
+        }
+        const display = text => (this.redactionEnabled ? this.redactor.redactText(text) : text);
+
+        const tbody = document.querySelector('#library-table tbody');
+        tbody.innerHTML = '';
+        records.forEach(record => {
+            const row = tbody.insertRow();
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = record.id;
+            checkbox.setAttribute('aria-label', `Select ${display(record.name)}`);
+            row.insertCell().appendChild(checkbox);
+
+            row.insertCell().textContent = display(record.name);
+            row.insertCell().textContent = display(record.tenantName) || '-';
+            row.insertCell().textContent = record.generatedOn ? new Date(record.generatedOn).toLocaleString() : 'Unknown';
+
+            const tagCell = row.insertCell();
+            record.tags.forEach(tag => {
+                const badge = document.createElement('span');
+                badge.className = 'tag';
+                badge.textContent = tag;
+                tagCell.appendChild(badge);
+            });
+
+            const actions = row.insertCell();
+            actions.className = 'library-actions';
+            [
+                { icon: 'fa-folder-open', title: 'Open', handler: () => this.openFromLibrary([record.id]) },
+                { icon: 'fa-pen', title: 'Rename', handler: () => this.renameLibraryReport(record) },
+                { icon: 'fa-tags', title: 'Edit tags', handler: () => this.tagLibraryReport(record) },
+                { icon: 'fa-trash', title: 'Delete', handler: () => this.deleteLibraryReport(record) }
+            ].forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'icon-button';
+                button.title = action.title;
+                button.innerHTML = `<i class="fas ${action.icon}"></i>`;
+                button.addEventListener('click', action.handler);
+                actions.appendChild(button);
+            });
+        });
+    }
+
+    // Reopens stored reports through the normal upload path
+    async openFromLibrary(ids) {
+        if (ids.length === 0) {
+            return;
+        }
+        const records = await Promise.all(ids.map(id => this.library.get(id)));
+        const files = records.filter(Boolean).map(record =>
+            new File([record.content], record.fileName, { type: record.fileName.endsWith('.json') ? 'application/json' : 'text/html' }));
+        this.processFiles(files);
+    }
+
+    async renameLibraryReport(record) {
+        const name = prompt('Report name:', record.name);
+        if (name === null || name.trim() === '') {
+            return;
+        }
+        await this.library.update(record.id, { name: name.trim() });
+        this.renderReportLibrary();
+    }
+
+    async tagLibraryReport(record) {
+        const input = prompt('Tags (comma separated):', record.tags.join(', '));
+        if (input === null) {
+            return;
+        }
+        const tags = input.split(',').map(tag => tag.trim()).filter(Boolean);
+        await this.library.update(record.id, { tags: Array.from(new Set(tags)) });
+        this.renderReportLibrary();
+    }
+
+    async deleteLibraryReport(record) {
+        if (!confirm(`Delete "${record.name}" from the report library?`)) {
+            return;
+        }
+        await this.library.remove(record.id);
+        this.renderReportLibrary();
+    }
+
+    initializeRedaction() {
+        const toggle = document.getElementById('redaction-toggle');
+        if (!this.redactor) {
+            toggle.disabled = true;
+            toggle.parentElement.title = 'Redaction needs browser storage and the Web Crypto API (serve the dashboard over https or localhost)';
+            document.getElementById('redaction-options').classList.add('hidden');
+            return;
+        }
+
+        toggle.addEventListener('change', () => this.setRedaction(toggle.checked));
+        document.getElementById('redaction-reveal').addEventListener('click', async () => {
+            const lookup = document.getElementById('redaction-lookup').value;
+            const original = await this.redactor.reveal(lookup);
+            document.getElementById('redaction-result').textContent = original === null
+                ? `${lookup.trim()} does not match a name redacted with this key.`
+                : `${lookup.trim()} = ${original}`;
+        });
+        document.getElementById('redaction-show-key').addEventListener('click', () => {
+            prompt('Redaction key for this browser. Keep it private: with it, the pseudonyms can be reversed from this browser\'s stored mapping or recomputed from the original report.', this.redactor.getKey());
+        });
+        document.getElementById('redaction-import-key').addEventListener('click', () => {
+            const key = prompt('Paste a redaction key exported from another browser:');
+            if (key === null) {
+                return;
+            }
+            try {
+                this.redactor.setKey(key.trim());
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            this.refreshReportViews();
+        });
+        document.getElementById('redaction-new-key').addEventListener('click', () => {
+            if (!confirm('Create a new redaction key? Pseudonyms in documents already shared can then only be reversed with an exported copy of the current key.')) {
+                return;
+            }
+            this.redactor.resetKey();
+            this.refreshReportViews();
+        });
+    }
+
+    // Adds a "view in report" button to each dashboard card that has a matching report section
+    initializeDetailedReport() {
+        DETAILED_REPORT_SECTIONS.forEach(entry => {
+            const card = document.getElementById(entry.anchor).closest('.card');
+            const button = document.createElement('button');
+            button.className = 'icon-button report-link hidden';
+            button.title = `Open "${entry.section}" in the detailed report`;
+            button.innerHTML = '<i class="fas fa-file-alt"></i>';
+            button.addEventListener('click', () => this.showDetailedReport(entry.section));
+            card.querySelector('.card-header').appendChild(button);
+        });
+
+        document.getElementById('detailed-report-close').addEventListener('click', () => this.closeDetailedReport());
+    }
+
+    closeDetailedReport() {
+        const frame = document.getElementById('detailed-report-frame');
+        document.getElementById('detailed-report-section').classList.add('hidden');
+        frame.removeAttribute('srcdoc');
+        this.detailedReportHtml = null;
+    }
+
+    // Renders the uploaded HTML, sanitized, in an iframe sandboxed without
+    // allow-scripts. allow-same-origin only lets the dashboard read the frame
+    // to build the navigator; nothing inside the frame can execute.
+    showDetailedReport(section = null) {
+        const html = this.redactionEnabled
+            ? this.redactor.redactText(this.originalHtmlContent)
+            : this.originalHtmlContent;
+        const container = document.getElementById('detailed-report-section');
+        const frame = document.getElementById('detailed-report-frame');
+        container.classList.remove('hidden');
+
+        if (html === this.detailedReportHtml) {
+            if (section) {
+                this.scrollDetailedReport(section);
+            }
+        } else {
+            this.detailedReportHtml = html;
+            frame.onload = () => {
+                this.buildDetailedReportNav();
+                if (section) {
+                    this.scrollDetailedReport(section);
+                }
+            };
+            frame.srcdoc = sanitizeReportHtml(html);
+        }
+        container.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    getDetailedReportHeadings() {
+        const doc = document.getElementById('detailed-report-frame').contentDocument;
+        return doc ? Array.from(doc.querySelectorAll('h2')) : [];
+    }
+
+    buildDetailedReportNav() {
+        const nav = document.getElementById('detailed-report-nav');
+        nav.innerHTML = '';
+
+        this.getDetailedReportHeadings().forEach(heading => {
+            const section = ReportReader.normalizeHeading(heading.textContent);
+            const item = document.createElement('li');
+            item.dataset.section = section;
+
+            const link = document.createElement('button');
+            link.className = 'icon-button nav-section';
+            link.textContent = section;
+            link.addEventListener('click', () => this.scrollDetailedReport(section));
+            item.appendChild(link);
+
+            const entry = DETAILED_REPORT_SECTIONS.find(mapping => mapping.section === section);
+            if (entry) {
+                const cardLink = document.createElement('button');
+                cardLink.className = 'icon-button';
+                cardLink.title = 'Show the matching dashboard card';
+                cardLink.innerHTML = '<i class="fas fa-th-large"></i>';
+                cardLink.addEventListener('click', () => this.highlightDashboardCard(entry.anchor));
+                item.appendChild(cardLink);
+            }
+            nav.appendChild(item);
+        });
+
+        // Keep the navigator on the section being read
+        const frameWindow = document.getElementById('detailed-report-frame').contentWindow;
+        frameWindow.addEventListener('scroll', () => {
+            const current = this.getDetailedReportHeadings()
+                .filter(heading => heading.getBoundingClientRect().top <= 20)
+                .pop();
+            this.setActiveReportSection(current ? ReportReader.normalizeHeading(current.textContent) : null);
+        });
+    }
+
+    scrollDetailedReport(section) {
+        const heading = this.getDetailedReportHeadings()
+            .find(element => ReportReader.normalizeHeading(element.textContent) === section);
+        if (heading) {
+            heading.scrollIntoView({ behavior: 'smooth' });
+        }
+        this.setActiveReportSection(section);
+    }
+
+    setActiveReportSection(section) {
+        document.querySelectorAll('#detailed-report-nav li').forEach(item => {
+            item.classList.toggle('active', item.dataset.section === section);
+        });
+    }
+
+    highlightDashboardCard(anchor) {
+        const card = document.getElementById(anchor).closest('.card');
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('card-highlight');
+        setTimeout(() => card.classList.remove('card-highlight'), 1500);
+    }
+
+    async setRedaction(enabled) {
+        this.redactionEnabled = enabled;
+        document.getElementById('redaction-badge').classList.toggle('hidden', !enabled);
+        await this.refreshReportViews();
+    }
+
+    // What the dashboard, PDF and exports show: the parsed report, or its
+    // redacted copy while redaction mode is on
+    async viewReport(reportData) {
+        return this.redactionEnabled ? this.redactor.redactReport(reportData) : reportData;
+    }
+
+    async refreshReportViews() {
+        if (this.library) {
+            this.renderReportLibrary();
+        }
+        if (!this.sourceReportData) {
+            return;
+        }
+        for (const report of this.tenantReports) {
+            report.reportData = await this.viewReport(report.sourceData);
+        }
+
+        const index = this.tenantReports.findIndex(report => report.sourceData === this.sourceReportData);
+        if (index === -1) {
+            this.reportData = await this.viewReport(this.sourceReportData);
+            this.displayDashboard();
+            return;
+        }
+        if (!document.getElementById('trend-section').classList.contains('hidden')) {
+            this.displayTrend();
+        } else {
+            this.displayComparison();
+        }
+        this.selectTenantReport(index);
+    }
+
+    getDefaultProposal() {
+        return {
+            name: '',
+            title: 'HYCU M365 Sizing Proposal',
+            color: '#667eea',
+            preparedFor: '',
+            preparedBy: '',
+            summary: '',
+            logo: null,
+            sections: PDF_SECTIONS.map(section => ({ id: section.id, enabled: true }))
+        };
+    }
+
+    // Sections added after a template was saved are appended, enabled
+    normalizeProposal(template) {
+        const known = PDF_SECTIONS.map(section => section.id);
+        const sections = (template.sections || []).filter(entry => known.includes(entry.id));
+        known.filter(id => !sections.some(entry => entry.id === id))
+            .forEach(id => sections.push({ id, enabled: true }));
+        return { ...this.getDefaultProposal(), ...template, sections };
+    }
+
+    initializeProposalOptions() {
+        Object.entries(PROPOSAL_FIELDS).forEach(([key, id]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                this.proposal[key] = e.target.value;
+            });
+        });
+
+        document.getElementById('proposal-logo').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadProposalLogo(e.target.files[0]);
+            }
+        });
+        document.getElementById('proposal-logo-remove').addEventListener('click', () => {
+            this.proposal.logo = null;
+            document.getElementById('proposal-logo').value = '';
+            this.renderProposalOptions();
+        });
+        document.getElementById('export-proposal').addEventListener('click', () => exportToPDF(this.proposal));
+
+        if (!this.proposalTemplates) {
+            document.getElementById('proposal-template-controls').classList.add('hidden');
+        } else {
+            document.getElementById('proposal-template').addEventListener('change', (e) => {
+                const template = e.target.value ? this.proposalTemplates.get(e.target.value) : null;
+                this.proposal = template ? this.normalizeProposal(template) : this.getDefaultProposal();
+                this.renderProposalOptions();
+            });
+            document.getElementById('save-proposal-template').addEventListener('click', () => this.saveProposalTemplate());
+            document.getElementById('delete-proposal-template').addEventListener('click', () => this.deleteProposalTemplate());
+        }
+        this.renderProposalOptions();
+    }
+
+    renderProposalOptions() {
+        Object.entries(PROPOSAL_FIELDS).forEach(([key, id]) => {
+            document.getElementById(id).value = this.proposal[key];
+        });
+
+        const preview = document.getElementById('proposal-logo-preview');
+        preview.classList.toggle('hidden', !this.proposal.logo);
+        if (this.proposal.logo) {
+            preview.querySelector('img').src = this.proposal.logo.dataUrl;
+        }
+
+        if (this.proposalTemplates) {
+            const select = document.getElementById('proposal-template');
+            select.innerHTML = '<option value="">New proposal</option>';
+            this.proposalTemplates.list().forEach(template => select.add(new Option(template.name, template.name)));
+            select.value = this.proposal.name;
+            document.getElementById('delete-proposal-template').disabled = !this.proposal.name;
+        }
+        this.renderProposalSections();
+    }
+
+    renderProposalSections() {
+        const list = document.getElementById('proposal-sections');
+        list.innerHTML = '';
+        const entries = this.proposal.sections;
+
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = entry.enabled;
+            checkbox.addEventListener('change', () => {
+                entry.enabled = checkbox.checked;
+            });
+            label.append(checkbox, ` ${PDF_SECTIONS.find(section => section.id === entry.id).title}`);
+            item.appendChild(label);
+
+            [
+                { icon: 'fa-arrow-up', title: 'Move up', target: index - 1 },
+                { icon: 'fa-arrow-down', title: 'Move down', target: index + 1 }
+            ].forEach(move => {
+                const button = document.createElement('button');
+                button.className = 'icon-button';
+                button.title = move.title;
+                button.innerHTML = `<i class="fas ${move.icon}"></i>`;
+                button.disabled = move.target < 0 || move.target >= entries.length;
+                button.addEventListener('click', () => {
+                    entries.splice(move.target, 0, entries.splice(index, 1)[0]);
+                    this.renderProposalSections();
+                });
+                item.appendChild(button);
+            });
+            list.appendChild(item);
+        });
+    }
+
+    // jsPDF embeds PNG and JPEG; the natural size keeps the logo's aspect ratio
+    loadProposalLogo(file) {
+        if (!/^image\/(png|jpeg)$/.test(file.type)) {
+            alert('Please choose a PNG or JPEG logo.');
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => {
+            const image = new Image();
+            image.onload = () => {
+                this.proposal.logo = {
+                    dataUrl: reader.result,
+                    format: file.type === 'image/png' ? 'PNG' : 'JPEG',
+                    width: image.naturalWidth,
+                    height: image.naturalHeight
+                };
+                this.renderProposalOptions();
+            };
+            image.onerror = () => alert('The logo image could not be read.');
+            image.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    }
+
+    saveProposalTemplate() {
+        const name = prompt('Template name:', this.proposal.name || this.proposal.preparedFor);
+        if (name === null || name.trim() === '') {
+            return;
+        }
+        const template = { ...this.proposal, name: name.trim() };
+        if (template.name !== this.proposal.name && this.proposalTemplates.get(template.name) &&
+            !confirm(`Replace the existing "${template.name}" template?`)) {
+            return;
+        }
+        try {
+            this.proposalTemplates.save(template);
+        } catch (error) {
+            console.error('Error saving proposal template:', error);
+            alert('The template could not be saved. The logo may be too large for browser storage.');
+            return;
+        }
+        this.proposal = template;
+        this.renderProposalOptions();
+    }
+
+    deleteProposalTemplate() {
+        if (!this.proposal.name || !confirm(`Delete the "${this.proposal.name}" template?`)) {
+            return;
+        }
+        this.proposalTemplates.remove(this.proposal.name);
+        this.proposal.name = '';
+        this.renderProposalOptions();
+    }
+
+    clearFileInput() {
+        const fileInput = document.getElementById('file-input');
+        if (fileInput) {
+            fileInput.value = '';
+        }
+    }
+
+    reportErrorAlert(error) {
+        if (error instanceof ReportFormatError) {
+            return `${error.message}\n\n- ${error.issues.join('\n- ')}`;
+        }
+        return 'Error processing the report file. Please ensure it\'s a valid HYCU M365 report.';
+    }
+
+    async processFiles(fileList) {
+        const files = Array.from(fileList).filter(file => this.isReportFile(file));
+        if (files.length === 1) {
+            return this.processFile(files[0]);
+        }
+        if (files.length > 1) {
+            return this.processComparison(files);
+        }
+    }
+
+    async processFile(file) {
+        if (!this.isReportFile(file)) {
+            return;
+        }
+
+        this.showLoading();
+        
+        try {
+            const { reportData, htmlContent, text } = await this.readReportFile(file);
+            window.dashboard = this;
+            this.saveToLibrary(file.name, text, reportData);
+
+            // Store the original HTML content for the detailed report view
+            this.originalHtmlContent = htmlContent;
+            this.sourceReportData = reportData;
+            this.reportData = await this.viewReport(reportData);
+            this.tenantReports = [];
+            document.getElementById('comparison-section').classList.add('hidden');
+            document.getElementById('trend-section').classList.add('hidden');
+            this.displayDashboard();
+            
+            // Clear the file input after successful processing
+            this.clearFileInput();
+        } catch (error) {
+            console.error('Error processing file:', error);
+            alert(this.reportErrorAlert(error));
+            this.showUpload();
+            
+            // Clear the file input even on error
+            this.clearFileInput();
+        }
+    }
+
+    // Loads several reports at once (MSP customers, or business units sized
+    // with -ADGroup) and shows them side by side
+    async processComparison(files) {
+        this.showLoading();
+        window.dashboard = this;
+
+        const failures = [];
+        const reports = [];
+        for (let file of files) {
+            try {
+                const { reportData, htmlContent, text } = await this.readReportFile(file);
+                reports.push({ fileName: file.name, sourceData: reportData, reportData: await this.viewReport(reportData), htmlContent });
+                this.saveToLibrary(file.name, text, reportData);
+            } catch (error) {
+                console.error(`Error processing ${file.name}:`, error);
+                failures.push(`${file.name}: ${error.message}`);
+            }
+        }
+        this.clearFileInput();
+
+        if (failures.length > 0) {
+            alert(`${failures.length} of ${files.length} reports could not be loaded:\n\n- ${failures.join('\n- ')}`);
+        }
+        if (reports.length === 0) {
+            this.showUpload();
+            return;
+        }
+
+        if (this.isSingleTenantSeries(reports)) {
+            this.tenantReports = this.sortReportsByDate(reports);
+            document.getElementById('comparison-section').classList.add('hidden');
+            this.displayTrend();
+            this.selectTenantReport(this.tenantReports.length - 1);
+            return;
+        }
+
+        this.tenantReports = reports;
+        document.getElementById('trend-section').classList.add('hidden');
+        this.displayComparison();
+        this.selectTenantReport(0);
+    }
+
+    // Several dated reports of the same tenant are treated as a history
+    isSingleTenantSeries(reports) {
+        const names = new Set(reports.map(report => report.reportData.tenantInfo.tenantName));
+        return names.size === 1 && !names.has(null) && reports.every(report => report.reportData.reportInfo.generatedOn);
+    }
+
+    sortReportsByDate(reports) {
+        return reports.slice().sort((a, b) =>
+            Date.parse(a.reportData.reportInfo.generatedOn) - Date.parse(b.reportData.reportInfo.generatedOn));
+    }
+
+    // Annualised (compound) growth rate between two observations, in percent
+    calculateAnnualGrowthRate(firstSize, lastSize, days) {
+        if (!firstSize || lastSize === null || lastSize === undefined || days <= 0) {
+            return null;
+        }
+        return (Math.pow(lastSize / firstSize, 365 / days) - 1) * 100;
+    }
+
+    calculateObservedGrowth() {
+        const first = this.tenantReports[0].reportData;
+        const last = this.tenantReports[this.tenantReports.length - 1].reportData;
+        const days = (Date.parse(last.reportInfo.generatedOn) - Date.parse(first.reportInfo.generatedOn)) / 86400000;
+
+        return TREND_WORKLOADS.map(workload => {
+            const firstSize = first.storageData[workload.key];
+            const lastSize = last.storageData[workload.key];
+            return {
+                ...workload,
+                firstSize,
+                lastSize,
+                days,
+                annualRate: this.calculateAnnualGrowthRate(firstSize, lastSize, days)
+            };
+        });
+    }
+
+    displayTrend() {
+        document.getElementById('trend-section').classList.remove('hidden');
+        const first = this.tenantReports[0].reportData;
+        const last = this.tenantReports[this.tenantReports.length - 1].reportData;
+        const formatDate = iso => new Date(iso).toLocaleDateString();
+        document.getElementById('trend-summary').textContent =
+            `${this.tenantReports.length} reports for ${last.tenantInfo.tenantName}, ` +
+            `${formatDate(first.reportInfo.generatedOn)} to ${formatDate(last.reportInfo.generatedOn)}.`;
+
+        this.observedGrowth = this.calculateObservedGrowth();
+        this.populateTrendTable();
+        this.createTrendChart();
+    }
+
+    populateTrendTable() {
+        const table = document.getElementById('trend-table');
+        const latest = this.tenantReports[this.tenantReports.length - 1].reportData;
+        const assumedRates = Object.keys(latest.growthData.projections).map(Number).sort((a, b) => a - b);
+        const formatGB = v => (v === null || v === undefined ? 'N/A' : v.toLocaleString(undefined, { maximumFractionDigits: 1 }));
+        const formatRate = v => (v === null ? 'N/A' : `${v.toFixed(1)}%`);
+
+        table.innerHTML = '';
+        const headerRow = table.createTHead().insertRow();
+        ['Workload', 'First Report (GB)', 'Latest Report (GB)', 'Observed Annual Growth'].forEach(text => {
+            headerRow.appendChild(document.createElement('th')).textContent = text;
+        });
+        const tbody = table.createTBody();
+        this.observedGrowth.forEach(workload => {
+            const row = tbody.insertRow();
+            [workload.label, formatGB(workload.firstSize), formatGB(workload.lastSize), formatRate(workload.annualRate)]
+                .forEach(text => { row.insertCell().textContent = text; });
+        });
+
+        const total = this.observedGrowth.find(workload => workload.key === 'totalSize');
+        const comparison = document.getElementById('trend-comparison');
+        if (total.annualRate === null) {
+            comparison.textContent = total.days > 0
+                ? 'Total storage is missing from one of the reports, so the observed growth rate cannot be compared with the projections.'
+                : 'The first and latest reports have the same generated date, so there is no time span to annualise growth over.';
+            document.getElementById('apply-observed-growth').classList.add('hidden');
+            return;
+        }
+
+        const observed = total.annualRate;
+        const closest = assumedRates.reduce((best, rate) =>
+            best === null || Math.abs(rate - observed) < Math.abs(best - observed) ? rate : best, null);
+        const projectedAtObserved = total.lastSize * (1 + observed / 100);
+        let text = `Total storage grew at an annualised ${observed.toFixed(1)}% over ${Math.round(total.days)} days ` +
+            `(1-year projection at that rate: ${formatGB(projectedAtObserved)} GB).`;
+        if (closest !== null) {
+            const direction = observed > closest ? 'above' : 'below';
+            text += ` The report's Growth Projections assume ${assumedRates.map(rate => `${rate}%`).join(', ')}; ` +
+                `measured growth is ${Math.abs(observed - closest).toFixed(1)} points ${direction} the closest assumption (${closest}%, ` +
+                `${formatGB(latest.growthData.projections[closest])} GB).`;
+        }
+        comparison.textContent = text;
+        document.getElementById('apply-observed-growth').classList.remove('hidden');
+    }
+
+    // Uses the measured total growth as the cost scenario's growth assumption
+    applyObservedGrowth() {
+        const total = this.observedGrowth && this.observedGrowth.find(workload => workload.key === 'totalSize');
+        if (!total || total.annualRate === null) {
+            return;
+        }
+        const field = COST_ASSUMPTIONS.find(assumption => assumption.key === 'growthRate');
+        this.costAssumptions.growthRate = Math.min(field.max, Math.max(field.min, Math.round(total.annualRate)));
+        this.renderCostAssumptions();
+        this.onCostAssumptionsChanged();
+    }
+
+    createTrendChart() {
+        this.charts.render('trend-chart', {
+            type: 'line',
+            data: {
+                labels: this.tenantReports.map(report => new Date(report.reportData.reportInfo.generatedOn).toLocaleDateString()),
+                datasets: TREND_WORKLOADS.map(workload => ({
+                    label: workload.label,
+                    data: this.tenantReports.map(report => report.reportData.storageData[workload.key]),
+                    borderColor: workload.color,
+                    backgroundColor: workload.color,
+                    spanGaps: true,
+                    tension: 0.2
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: false,
+                        title: {
+                            display: true,
+                            text: 'Observed Size (GB)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            usePointStyle: true
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    selectTenantReport(index) {
+        const report = this.tenantReports[index];
+        this.sourceReportData = report.sourceData;
+        this.reportData = report.reportData;
+        this.originalHtmlContent = report.htmlContent;
+        this.displayDashboard();
+
+        document.querySelectorAll('#comparison-table thead th[data-index]').forEach(th => {
+            th.classList.toggle('selected', Number(th.dataset.index) === index);
+        });
+    }
+
+    displayComparison() {
+        document.getElementById('comparison-section').classList.remove('hidden');
+        document.getElementById('comparison-count').textContent = `${this.tenantReports.length} reports loaded`;
+        this.populateComparisonTable();
+        this.createComparisonChart();
+    }
+
+    populateComparisonTable() {
+        const table = document.getElementById('comparison-table');
+        table.innerHTML = '';
+
+        const thead = table.createTHead();
+        const headerRow = thead.insertRow();
+        headerRow.appendChild(document.createElement('th')).textContent = 'Metric';
+        this.tenantReports.forEach((report, index) => {
+            const th = document.createElement('th');
+            th.dataset.index = index;
+            th.title = `${report.fileName} - click to open in the dashboard below`;
+            th.textContent = report.reportData.tenantInfo.tenantName || report.fileName;
+            th.addEventListener('click', () => this.selectTenantReport(index));
+            headerRow.appendChild(th);
+        });
+        headerRow.appendChild(document.createElement('th')).textContent = 'All Tenants';
+
+        this.tenantReports.forEach(report => this.applyMailboxLicensing(report.reportData));
+
+        const tbody = table.createTBody();
+        let currentGroup = null;
+        COMPARISON_ROWS.forEach(row => {
+            if (row.group !== currentGroup) {
+                currentGroup = row.group;
+                const groupCell = tbody.insertRow().insertCell();
+                groupCell.colSpan = this.tenantReports.length + 2;
+                groupCell.className = 'comparison-group';
+                groupCell.textContent = row.group;
+            }
+
+            const format = COMPARISON_FORMATS[row.format];
+            const values = this.tenantReports.map(report => row.value(report.reportData, this));
+            const tr = tbody.insertRow();
+            tr.insertCell().textContent = row.label;
+            values.forEach(value => {
+                tr.insertCell().textContent = value === null || value === undefined ? 'N/A' : format(value);
+            });
+
+            const totalCell = tr.insertCell();
+            totalCell.className = 'comparison-total';
+            const present = values.filter(value => value !== null && value !== undefined);
+            if (!row.sum || present.length === 0) {
+                totalCell.textContent = '-';
+            } else {
+                const partial = present.length < values.length ? ' *' : '';
+                totalCell.textContent = format(present.reduce((acc, value) => acc + value, 0)) + partial;
+                if (partial) {
+                    totalCell.title = 'Total excludes tenants where this value is missing';
+                }
+            }
+        });
+    }
+
+    createComparisonChart() {
+        // One bar per workload and Exchange sub-layer; the total would dwarf them
+        const workloads = TREND_WORKLOADS.filter(workload => workload.key !== 'totalSize').concat(EXCHANGE_SUBLAYERS);
+
+        this.charts.render('comparison-chart', {
+            type: 'bar',
+            data: {
+                labels: this.tenantReports.map(report => report.reportData.tenantInfo.tenantName || report.fileName),
+                datasets: workloads.map(workload => ({
+                    label: workload.label,
+                    data: this.tenantReports.map(report => report.reportData.storageData[workload.key] || 0),
+                    backgroundColor: workload.color,
+                    borderWidth: 0
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Size (GB)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            usePointStyle: true
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    parseReportData(htmlContent) {
+        // Parse the HTML content to extract data
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(htmlContent, 'text/html');
+        const reader = new ReportReader(doc);
         
-        if (data.length === 0) {
-            ctx.fillText('No data available', 10, 50);
+        return {
+            reportInfo: reader.readGroup('reportInfo'),
+            tenantInfo: this.extractTenantInfo(reader),
+            storageData: this.extractStorageData(reader),
+            growthData: this.extractGrowthData(reader),
+            costAnalysis: this.extractCostAnalysis(reader),
+            teamsData: this.extractTeamsData(reader),
+            sitesData: this.extractSitesData(reader),
+            licensingData: this.extractLicensingData(reader),
+            mailboxData: this.extractMailboxData(reader),
+            top5Data: this.extractTop5Data(reader),
+            parseDiagnostics: reader.getDiagnostics()
+        };
+    }
+
+    parseJsonReportData(jsonContent) {
+        let json;
+        try {
+            json = JSON.parse(jsonContent);
+        } catch (error) {
+            throw new ReportFormatError('The file is not valid JSON.', [error.message]);
+        }
+
+        const issues = validateAgainstSchema(json, SIZING_JSON_SCHEMA);
+        if (issues.length > 0) {
+            throw new ReportFormatError('The JSON file does not match the HYCU M365 sizing export format.', issues);
+        }
+
+        return this.mapJsonToReportData(json);
+    }
+
+    mapJsonToReportData(json) {
+        const userCounts = json.TenantInfo.UserCounts;
+        const exchange = json.ExchangeData;
+        const oneDrive = json.OneDriveData;
+        const sharePoint = json.SharePointData;
+        const growth = json.GrowthAnalysis || {};
+        const cost = json.CostAnalysis || {};
+        const teams = json.TeamsData || {};
+        const licensing = json.LicensingInfo || {};
+        const entitlement = licensing.HYCUEntitlement || {};
+        const mailboxAnalysis = licensing.MailboxAnalysis || {};
+        const sites = json.SitesAndOneDriveData || {};
+        const archive = json.ArchiveData || {};
+        const recoverableItems = json.RecoverableItemsData || {};
+        const groups = json.GroupsData || {};
+
+        // Takes the first present candidate, or records that the fallback was used.
+        // Counts and costs fall back to null like the HTML reader, so a missing
+        // section shows as N/A rather than a measured 0.
+        const diagnostics = [];
+        const take = (field, candidates, fallback) => {
+            const found = candidates.find(([, value]) => value !== undefined && value !== null);
+            diagnostics.push({
+                field,
+                section: 'JSON export',
+                label: candidates.map(([source]) => source).join(' / '),
+                raw: found ? String(found[1]) : null,
+                status: found ? 'found' : fallback === null ? 'missing' : 'defaulted',
+                reason: found || fallback === null ? undefined : 'missing',
+                fallback
+            });
+            return found ? found[1] : fallback;
+        };
+
+        const storageSum = exchange.TotalSizeGB + oneDrive.TotalSizeGB + sharePoint.TotalSizeGB;
+        const totalSize = take('storageData.totalSize', [['GrowthAnalysis.CurrentTotalSizeGB', growth.CurrentTotalSizeGB]], storageSum);
+
+        // Sizes are only there when the script filled these blocks. A block with
+        // no size is only blamed on -SkipArchiveMailbox / -SkipRecoverableItems
+        // when it says so itself; otherwise the report simply lacks it.
+        const archiveSize = typeof archive.TotalArchiveSizeGB === 'number' ? archive.TotalArchiveSizeGB : null;
+        const recoverableItemsSize = typeof recoverableItems.TotalRecoverableItemsGB === 'number' ? recoverableItems.TotalRecoverableItemsGB : null;
+        const scanStatus = (block, size) => (size !== null ? 'scanned' : block.Skipped === true ? 'skipped' : 'unavailable');
+        const totalMailboxes = take('mailboxData.totalMailboxes', [
+            ['LicensingInfo.MailboxAnalysis.TotalMailboxes', mailboxAnalysis.TotalMailboxes],
+            ['ExchangeData.TotalMailboxes', exchange.TotalMailboxes]
+        ], null);
+        const archiveMailboxes = take('mailboxData.archiveMailboxes', [['ArchiveData.TotalMailboxesWithArchive', archive.TotalMailboxesWithArchive]], null);
+        const asDollars = value => (value === undefined || value === null ? null : `$${value}`);
+
+        const projections = {};
+        Object.entries(growth.GrowthProjections || {}).forEach(([rate, size]) => {
+            projections[parseInt(rate)] = Number(size);
+        });
+
+        const toTop5 = (items, nameKey) => (items || [])
+            .map(item => ({ name: String(item[nameKey] || item.DisplayName || ''), size: Number(item.StorageUsedInGB) }))
+            .filter(item => !isNaN(item.size))
+            .sort((a, b) => b.size - a.size);
+
+        const generatedOn = take('reportInfo.generatedOn', [['GeneratedOn', json.GeneratedOn]], null);
+        const reportData = {
+            reportInfo: {
+                generatedOn: generatedOn && !isNaN(Date.parse(generatedOn)) ? new Date(generatedOn).toISOString() : null
+            },
+            tenantInfo: {
+                tenantName: take('tenantInfo.tenantName', [['TenantInfo.DisplayName', json.TenantInfo.DisplayName || null]], 'Unknown'),
+                totalUsers: userCounts.TotalUsers,
+                activeUsers: take('tenantInfo.activeUsers', [['TenantInfo.UserCounts.EnabledUsers', userCounts.EnabledUsers]], null),
+                guestUsers: take('tenantInfo.guestUsers', [['TenantInfo.UserCounts.GuestUsers', userCounts.GuestUsers]], null)
+            },
+            storageData: {
+                exchangeSize: exchange.TotalSizeGB,
+                oneDriveSize: oneDrive.TotalSizeGB,
+                sharePointSize: sharePoint.TotalSizeGB,
+                archiveSize,
+                recoverableItemsSize,
+                archiveScan: scanStatus(archive, archiveSize),
+                recoverableItemsScan: scanStatus(recoverableItems, recoverableItemsSize),
+                totalSize
+            },
+            growthData: { currentSize: totalSize, projections },
+            costAnalysis: {
+                monthlyStorage: take('costAnalysis.monthlyStorage', [['CostAnalysis.MonthlyStorageCost', cost.MonthlyStorageCost]], null),
+                monthlyUser: take('costAnalysis.monthlyUser', [
+                    ['CostAnalysis.MonthlyUserCost', cost.MonthlyUserCost],
+                    ['CostAnalysis.MonthlyWorkerNodeCost', cost.MonthlyWorkerNodeCost]
+                ], null),
+                totalMonthly: take('costAnalysis.totalMonthly', [['CostAnalysis.TotalMonthlyCost', cost.TotalMonthlyCost]], null),
+                annual: take('costAnalysis.annual', [
+                    ['CostAnalysis.AnnualCost', cost.AnnualCost],
+                    ['CostAnalysis.TotalAnnualCost', cost.TotalAnnualCost]
+                ], null),
+                currentStorage: take('costAnalysis.currentStorage', [['CostAnalysis.CurrentStorageGB', cost.CurrentStorageGB]], null),
+                compressedStorage: take('costAnalysis.compressedStorage', [['CostAnalysis.CompressedStorageGB', cost.CompressedStorageGB]], null),
+                projectedStorage: take('costAnalysis.projectedStorage', [['CostAnalysis.ProjectedStorageGB', cost.ProjectedStorageGB]], null),
+                annualStorage: take('costAnalysis.annualStorage', [['CostAnalysis.AnnualStorageCost', cost.AnnualStorageCost]], null),
+                tenantSize: take('costAnalysis.tenantSize', [['CostAnalysis.TenantSizeTB', cost.TenantSizeTB === undefined ? undefined : cost.TenantSizeTB * 1024]], null),
+                workerNodeCostPerTB: take('costAnalysis.workerNodeCostPerTB', [['CostAnalysis.CostPerTBPerMonth', cost.CostPerTBPerMonth]], null),
+                annualWorkerNode: take('costAnalysis.annualWorkerNode', [['CostAnalysis.AnnualWorkerNodeCost', cost.AnnualWorkerNodeCost]], null)
+            },
+            teamsData: {
+                totalTeams: take('teamsData.totalTeams', [['TeamsData.TotalTeams', teams.TotalTeams]], null),
+                totalGroups: take('teamsData.totalGroups', [['GroupsData.TotalGroups', groups.TotalGroups]], null),
+                costPerMessage: take('teamsData.costPerMessage', [['TeamsData.PrivateChatCostPerMessage', asDollars(teams.PrivateChatCostPerMessage)]], '$0.00075'),
+                costPerMillion: take('teamsData.costPerMillion', [['TeamsData.CostPerMillionMessages', asDollars(teams.CostPerMillionMessages)]], '$750')
+            },
+            sitesData: {
+                oneDriveAccounts: take('sitesData.oneDriveAccounts', [
+                    ['SitesAndOneDriveData.OneDriveAccounts', sites.OneDriveAccounts],
+                    ['OneDriveData.TotalAccounts', oneDrive.TotalAccounts]
+                ], null),
+                sharePointSites: take('sitesData.sharePointSites', [
+                    ['SitesAndOneDriveData.SharePointSites', sites.SharePointSites],
+                    ['SharePointData.TotalSites', sharePoint.TotalSites]
+                ], null),
+                teamsSites: take('sitesData.teamsSites', [['SitesAndOneDriveData.TeamsSites', sites.TeamsSites]], null),
+                totalSites: take('sitesData.totalSites', [['SitesAndOneDriveData.TotalSites', sites.TotalSites]], null)
+            },
+            licensingData: {
+                licensedUsers: take('licensingData.licensedUsers', [['LicensingInfo.TotalLicensedUsers', licensing.TotalLicensedUsers]], null),
+                hycuEntitlement: take('licensingData.hycuEntitlement', [['LicensingInfo.HYCUEntitlement.TotalHYCUEntitlementGB', entitlement.TotalHYCUEntitlementGB]], null),
+                currentUsage: take('licensingData.currentUsage', [['LicensingInfo.HYCUEntitlement.CurrentUsageGB', entitlement.CurrentUsageGB]], null),
+                additionalLicenses: take('licensingData.additionalLicenses', [['LicensingInfo.HYCUEntitlement.AdditionalLicensesNeeded', entitlement.AdditionalLicensesNeeded]], null),
+                tiers: Object.values(licensing.LicenseDistribution || {})
+                    .filter(license => license && !isNaN(Number(license.ConsumedUnits)))
+                    .map(license => this.toLicenseTier({
+                        licenseType: String(license.LicenseTier || license.DisplayName || ''),
+                        assigned: Number(license.AssignedUnits) || 0,
+                        consumed: Number(license.ConsumedUnits),
+                        available: Number(license.AvailableUnits) || 0,
+                        storageLimit: license.StorageLimitGB === undefined || license.StorageLimitGB === null ? null : `${license.StorageLimitGB} GB`
+                    }))
+            },
+            mailboxData: {
+                totalMailboxes,
+                regularMailboxes: take('mailboxData.regularMailboxes', [['LicensingInfo.MailboxAnalysis.RegularMailboxes', mailboxAnalysis.RegularMailboxes]], null),
+                sharedMailboxes: take('mailboxData.sharedMailboxes', [['LicensingInfo.MailboxAnalysis.SharedMailboxes', mailboxAnalysis.SharedMailboxes]], null),
+                resourceMailboxes: take('mailboxData.resourceMailboxes', [['LicensingInfo.MailboxAnalysis.ResourceMailboxes', mailboxAnalysis.ResourceMailboxes]], null),
+                archiveMailboxes,
+                archivePercentage: totalMailboxes > 0 && archiveMailboxes !== null ? archiveMailboxes / totalMailboxes * 100 : null,
+                sharedAllowance: take('mailboxData.sharedAllowance', [['LicensingInfo.MailboxAnalysis.SharedMailboxThreshold', mailboxAnalysis.SharedMailboxThreshold]], null),
+                excessShared: take('mailboxData.excessShared', [['LicensingInfo.MailboxAnalysis.ExcessSharedMailboxes', mailboxAnalysis.ExcessSharedMailboxes]], null)
+            },
+            top5Data: {
+                mailboxes: toTop5(exchange.Top5Mailboxes, 'DisplayName'),
+                oneDrive: toTop5(oneDrive.Top5OneDrives, 'DisplayName'),
+                sharePoint: toTop5(sharePoint.Top5Sites, 'SiteName')
+            }
+        };
+
+        reportData.backupPlan = this.mapBackupRecommendations(json);
+        reportData.complianceRecommendations = this.mapComplianceRecommendations(json.ComplianceRecommendations);
+        reportData.parseDiagnostics = { version: 'json', detectedVersion: 'json', fields: diagnostics };
+        return reportData;
+    }
+
+    mapComplianceRecommendations(compliance) {
+        if (!compliance) {
+            return null;
+        }
+        const retentionYears = parseInt(compliance.DataRetention, 10);
+        return {
+            retentionYears: isNaN(retentionYears) ? null : retentionYears,
+            encryptionRequired: compliance.EncryptionRequired === true,
+            auditLogging: compliance.AuditLogging === true,
+            dataResidency: compliance.DataResidency || null,
+            rightToErasure: compliance.RightToErasure === true,
+            accessControls: compliance.AccessControls || null
+        };
+    }
+
+    // HTML reports carry no backup recommendations, so this is JSON only
+    mapBackupRecommendations(json) {
+        const recommendations = json.BackupRecommendations;
+        const schedule = json.BackupSchedule;
+        if (!recommendations && !schedule && !json.DisasterRecovery) {
+            return null;
+        }
+
+        const rtoRpo = (recommendations || {}).RTORPO || {};
+        const windowText = (recommendations || {}).BackupWindow || null;
+        const windowMatch = String(windowText || '').match(/(\d{1,2})\s*(AM|PM)\s*-\s*(\d{1,2})\s*(AM|PM)/i);
+        const to24 = (hour, meridiem) => (parseInt(hour, 10) % 12) + (/pm/i.test(meridiem) ? 12 : 0);
+        const windowStart = windowMatch ? to24(windowMatch[1], windowMatch[2]) : null;
+        const windowEnd = windowMatch ? to24(windowMatch[3], windowMatch[4]) : null;
+        const retentionYears = parseInt((recommendations || {}).RetentionPolicy, 10);
+
+        const tiering = (recommendations || {}).StorageTiering || {};
+        const storageTiering = STORAGE_TIERS
+            .filter(tier => tiering[`${tier.source}Tier`] && typeof tiering[`${tier.source}Tier`].Percentage === 'number')
+            .map(tier => ({
+                key: tier.key,
+                label: tier.label,
+                percentage: tiering[`${tier.source}Tier`].Percentage,
+                storageClass: tiering[`${tier.source}Tier`].StorageClass || null
+            }));
+
+        const intervals = {};
+        BACKUP_WORKLOADS.forEach(workload => {
+            const hours = parseHours((schedule || {})[workload.source]);
+            if (hours !== null) {
+                intervals[workload.key] = hours;
+            }
+        });
+
+        return {
+            frequency: (recommendations || {}).BackupFrequency || null,
+            retentionYears: isNaN(retentionYears) ? null : retentionYears,
+            storageEstimateGB: typeof (recommendations || {}).StorageEstimate === 'number' ? recommendations.StorageEstimate : null,
+            windowText,
+            windowStart,
+            windowHours: windowMatch ? (windowEnd - windowStart + 24) % 24 || 24 : null,
+            rtoHours: parseHours(rtoRpo.RTO),
+            rpoHours: parseHours(rtoRpo.RPO),
+            criticalData: (recommendations || {}).CriticalData || [],
+            storageTiering: storageTiering.length > 0 ? storageTiering : null,
+            intervals,
+            disasterRecovery: json.DisasterRecovery || null
+        };
+    }
+
+    extractTenantInfo(reader) {
+        return reader.readGroup('tenantInfo');
+    }
+
+    extractStorageData(reader) {
+        return {
+            ...reader.readGroup('storageData'),
+            archiveSize: null,
+            recoverableItemsSize: null,
+            archiveScan: 'unavailable',
+            recoverableItemsScan: 'unavailable'
+        };
+    }
+
+    // Why the Exchange figures are low. Only scans the report records as
+    // skipped are warned about; HTML reports never carry these sizes, which
+    // the storage card states once instead.
+    getExchangeScanWarnings(storage = this.reportData.storageData) {
+        const skipped = EXCHANGE_SUBLAYERS.filter(layer => storage[layer.scanKey] === 'skipped');
+        if (skipped.length === 0) {
+            return [];
+        }
+        return [`${skipped.map(layer => layer.label).join(' and ')} sizes were not scanned ` +
+            `(report run with ${skipped.map(layer => layer.skipParameter).join(' and ')}), so Exchange storage is understated.`];
+    }
+
+    extractGrowthData(reader) {
+        const { currentSize } = reader.readGroup('growthData');
+        const projections = {};
+        reader.readTable('growthProjections').forEach(row => {
+            projections[row.rate] = row.projectedSize;
+        });
+
+        return { currentSize, projections };
+    }
+
+    extractSitesData(reader) {
+        return reader.readGroup('sitesData');
+    }
+
+    extractLicensingData(reader) {
+        const licensingData = reader.readGroup('licensingData');
+        licensingData.tiers = reader.readTable('licenseTiers').map(row => this.toLicenseTier(row));
+        return licensingData;
+    }
+
+    // Storage Limit is "Unlimited" for some SKUs, so keep the label and a GB value when there is one
+    toLicenseTier({ licenseType, assigned, consumed, available, storageLimit }) {
+        const storageLimitGB = storageLimit === null ? null : ReportReader.parseValue(storageLimit, 'size');
+        return {
+            licenseType,
+            assigned,
+            consumed,
+            available,
+            storageLimit,
+            storageLimitGB: Number.isNaN(storageLimitGB) ? null : storageLimitGB
+        };
+    }
+
+    extractMailboxData(reader) {
+        return reader.readGroup('mailboxData');
+    }
+
+    extractTop5Data(reader) {
+        const toTop5 = rows => rows.map(row => ({ name: row.name, size: row.size })).sort((a, b) => b.size - a.size);
+
+        return {
+            mailboxes: toTop5(reader.readTable('top5Mailboxes')),
+            oneDrive: toTop5(reader.readTable('top5OneDrive')),
+            sharePoint: toTop5(reader.readTable('top5SharePoint'))
+        };
+    }
+
+    extractCostAnalysis(reader) {
+        return reader.readGroup('costAnalysis');
+    }
+
+    extractTeamsData(reader) {
+        return reader.readGroup('teamsData');
+    }
+
+    showUpload() {
+        document.getElementById('upload-section').classList.remove('hidden');
+        document.getElementById('loading-section').classList.add('hidden');
+    }
+
+    showLoading() {
+        document.getElementById('upload-section').classList.add('hidden');
+        document.getElementById('loading-section').classList.remove('hidden');
+        document.getElementById('dashboard-section').classList.add('hidden');
+    }
+
+    displayDashboard() {
+        document.getElementById('loading-section').classList.add('hidden');
+        document.getElementById('dashboard-toolbar').classList.remove('hidden');
+        document.getElementById('dashboard-section').classList.remove('hidden');
+        this.charts.destroyAll(document.getElementById('dashboard-section'));
+        this.closeDetailedReport();
+        document.querySelectorAll('.report-link').forEach(button => {
+            button.classList.toggle('hidden', !this.originalHtmlContent);
+        });
+        
+        this.syncBackupPlan();
+        this.applyMailboxLicensing(this.reportData);
+
+        // Validate first so warnings are on screen before any chart is drawn
+        this.validationIssues = this.validateReportData();
+        this.populateValidationPanel();
+        this.populateTenantInfo();
+        this.populateStorageData();
+        this.populateGrowthData();
+        this.populateCostAnalysis();
+        this.populateSitesData();
+        this.populateTeamsData();
+        this.populateLicensingData();
+        this.populateMailboxData();
+        this.populateTopNTable();
+        this.populateCapacityForecast();
+        this.populateCostOptimization();
+        this.populateBackupPlan();
+        this.populateCompliance();
+        this.populateStorageModel();
+        this.createCharts();
+    }
+
+    // Writes a metric, or marks it as missing instead of showing a misleading 0
+    setMetricValue(elementId, value, format = v => v.toLocaleString()) {
+        const element = document.getElementById(elementId);
+        if (value === null || value === undefined) {
+            element.textContent = 'N/A';
+            element.classList.add('metric-missing');
+            element.title = 'Not found in the uploaded report';
+            return;
+        }
+        element.textContent = format(value);
+        element.classList.remove('metric-missing');
+        element.title = '';
+    }
+
+    // Cross-checks the parsed numbers so a partial or inconsistent report is
+    // called out before anyone quotes from it
+    validateReportData() {
+        const data = this.reportData;
+        const issues = [];
+        const diagnostics = data.parseDiagnostics;
+
+        if (diagnostics) {
+            const versionNote = diagnostics.version === 'json' || diagnostics.detectedVersion === diagnostics.version
+                ? null
+                : `Unrecognised report version; read using the v${diagnostics.version} field map.`;
+            if (versionNote) {
+                issues.push({ category: 'missing', message: versionNote });
+            }
+
+            const reasonText = {
+                missing: 'not found',
+                invalid: 'could not be parsed',
+                unsupported: `not included in report v${diagnostics.version}`
+            };
+            diagnostics.fields.forEach(field => {
+                const raw = field.raw ? ` (value "${field.raw}")` : '';
+                if (field.status === 'defaulted') {
+                    issues.push({
+                        category: 'defaulted',
+                        message: `${field.section} › ${field.label}: ${reasonText[field.reason]}, using default ${field.fallback}${raw}`
+                    });
+                } else if (field.status !== 'found') {
+                    issues.push({
+                        category: 'missing',
+                        message: `${field.section} › ${field.label}: ${reasonText[field.status]}, shown as N/A${raw}`
+                    });
+                }
+            });
+        }
+
+        // Values are rounded in the report, so allow 1% (or one unit) of slack.
+        // A check with missing inputs is skipped and the gap reported as missing.
+        const checkSum = (label, parts, total, unit) => {
+            const isMissing = value => value === null || value === undefined;
+            const missing = parts.filter(part => isMissing(part.value)).map(part => part.name);
+            if (isMissing(total)) {
+                missing.push('the report total');
+            }
+            if (missing.length > 0) {
+                if (missing.length < parts.length + 1) {
+                    const names = missing.length > 1 ? `${missing.slice(0, -1).join(', ')} and ${missing[missing.length - 1]} are` : `${missing[0]} is`;
+                    issues.push({ category: 'missing', message: `${label}: not cross-checked because ${names} missing` });
+                }
+                return;
+            }
+            const sum = parts.reduce((acc, part) => acc + part.value, 0);
+            if (Math.abs(sum - total) > Math.max(1, Math.abs(total) * 0.01)) {
+                const breakdown = parts.map(part => `${part.name} ${part.value.toLocaleString()}`).join(' + ');
+                issues.push({
+                    category: 'inconsistent',
+                    message: `${label}: ${breakdown} = ${sum.toLocaleString()}${unit}, but the report total is ${total.toLocaleString()}${unit}`
+                });
+            }
+        };
+
+        const storage = data.storageData;
+        checkSum('Storage', [
+            { name: 'Exchange', value: storage.exchangeSize },
+            { name: 'OneDrive', value: storage.oneDriveSize },
+            { name: 'SharePoint', value: storage.sharePointSize }
+        ], storage.totalSize, ' GB');
+
+        // Skipped scans are worth a warning; HTML reports never carry these
+        // sizes, which the storage card notes instead
+        if (EXCHANGE_SUBLAYERS.some(layer => storage[layer.scanKey] === 'skipped')) {
+            issues.push({ category: 'missing', message: `Storage: ${this.getExchangeScanWarnings(storage)[0]}` });
+        }
+
+        const mailboxes = data.mailboxData;
+        checkSum('Mailboxes', [
+            { name: 'Regular', value: mailboxes.regularMailboxes },
+            { name: 'Shared', value: mailboxes.sharedMailboxes },
+            { name: 'Resource', value: mailboxes.resourceMailboxes }
+        ], mailboxes.totalMailboxes, '');
+
+        const sites = data.sitesData;
+        checkSum('Sites', [
+            { name: 'SharePoint', value: sites.sharePointSites },
+            { name: 'Teams', value: sites.teamsSites }
+        ], sites.totalSites, '');
+
+        const cost = data.costAnalysis;
+        checkSum('Monthly cost', [
+            { name: 'Storage', value: cost.monthlyStorage },
+            { name: 'Worker nodes', value: cost.monthlyUser }
+        ], cost.totalMonthly, ' USD');
+        if (cost.totalMonthly !== null && cost.annual !== null) {
+            checkSum('Annual cost', [{ name: '12 × Total Monthly', value: cost.totalMonthly * 12 }], cost.annual, ' USD');
+        }
+        if (cost.monthlyStorage !== null) {
+            checkSum('Annual storage cost', [{ name: '12 × Monthly Storage', value: cost.monthlyStorage * 12 }], cost.annualStorage, ' USD');
+        }
+        if (cost.monthlyUser !== null) {
+            checkSum('Annual worker node cost', [{ name: '12 × Monthly Worker Node', value: cost.monthlyUser * 12 }], cost.annualWorkerNode, ' USD');
+        }
+
+        const tiers = data.licensingData.tiers;
+        if (tiers.length > 0) {
+            checkSum('Licensed users', tiers.map(tier => ({ name: tier.licenseType, value: tier.consumed })), data.licensingData.licensedUsers, '');
+        }
+
+        const tenant = data.tenantInfo;
+        if (tenant.activeUsers !== null && tenant.totalUsers !== null && tenant.activeUsers > tenant.totalUsers) {
+            issues.push({
+                category: 'inconsistent',
+                message: `Users: ${tenant.activeUsers.toLocaleString()} active users exceeds ${tenant.totalUsers.toLocaleString()} total users`
+            });
+        }
+        if (storage.totalSize === 0) {
+            issues.push({ category: 'inconsistent', message: 'Storage: the report contains no storage data (total is 0 GB)' });
+        }
+
+        return issues;
+    }
+
+    populateValidationPanel() {
+        const panel = document.getElementById('validation-panel');
+        const issues = this.validationIssues;
+
+        if (issues.length === 0) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const headings = {
+            inconsistent: 'Inconsistent values',
+            defaulted: 'Defaulted values',
+            missing: 'Missing fields'
+        };
+        const counts = Object.keys(headings).map(category => {
+            const count = issues.filter(issue => issue.category === category).length;
+            return count > 0 ? `${count} ${headings[category].toLowerCase()}` : null;
+        }).filter(Boolean);
+        document.getElementById('validation-summary').textContent =
+            `Review before sharing these numbers: ${counts.join(', ')}.`;
+
+        const container = document.getElementById('validation-details');
+        container.innerHTML = '';
+        Object.entries(headings).forEach(([category, heading]) => {
+            const categoryIssues = issues.filter(issue => issue.category === category);
+            if (categoryIssues.length === 0) {
+                return;
+            }
+            const title = document.createElement('p');
+            title.innerHTML = '<strong></strong>';
+            title.firstChild.textContent = heading;
+            const list = document.createElement('ul');
+            list.style.cssText = 'margin: 5px 0 10px; padding-left: 20px;';
+            categoryIssues.forEach(issue => {
+                const item = document.createElement('li');
+                item.textContent = issue.message;
+                list.appendChild(item);
+            });
+            container.appendChild(title);
+            container.appendChild(list);
+        });
+        panel.classList.remove('hidden');
+    }
+
+    populateTenantInfo() {
+        const data = this.reportData.tenantInfo;
+        this.setMetricValue('tenant-name', data.tenantName, v => v);
+        this.setMetricValue('total-users', data.totalUsers);
+        this.setMetricValue('active-users', data.activeUsers);
+        this.setMetricValue('guest-users', data.guestUsers);
+    }
+
+    populateStorageData() {
+        const data = this.reportData.storageData;
+        const toGB = v => v.toFixed(1);
+        this.setMetricValue('exchange-size', data.exchangeSize, toGB);
+        EXCHANGE_SUBLAYERS.forEach(layer => {
+            this.setMetricValue(layer.elementId, data[layer.key], toGB);
+            if (data[layer.key] === null || data[layer.key] === undefined) {
+                document.getElementById(layer.elementId).title = data[layer.scanKey] === 'skipped'
+                    ? `Not scanned (${layer.skipParameter})`
+                    : 'Not included in this report';
+            }
+        });
+        this.setMetricValue('onedrive-size', data.oneDriveSize, toGB);
+        this.setMetricValue('sharepoint-size', data.sharePointSize, toGB);
+        this.setMetricValue('total-size', data.totalSize, toGB);
+
+        const note = document.getElementById('storage-scan-note');
+        const warnings = this.getExchangeScanWarnings(data);
+        note.textContent = warnings.join(' ');
+        note.classList.toggle('hidden', warnings.length === 0);
+    }
+
+    populateGrowthData() {
+        const data = this.reportData.growthData;
+        const container = document.getElementById('growth-metrics');
+        container.innerHTML = '';
+
+        const rates = Object.keys(data.projections).map(Number).sort((a, b) => a - b);
+        const metrics = [{ label: 'Current Size (GB)', value: data.currentSize }]
+            .concat(rates.map(rate => ({ label: `Year 1 at ${rate}% (GB)`, value: data.projections[rate] })));
+
+        metrics.forEach(metric => {
+            const element = document.createElement('div');
+            element.className = 'metric';
+            element.innerHTML = '<div class="metric-value"></div><div class="metric-label"></div>';
+            element.querySelector('.metric-value').textContent =
+                metric.value === null ? 'N/A' : metric.value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+            element.querySelector('.metric-label').textContent = metric.label;
+            container.appendChild(element);
+        });
+    }
+
+    populateSitesData() {
+        const data = this.reportData.sitesData;
+        this.setMetricValue('onedrive-accounts', data.oneDriveAccounts);
+        this.setMetricValue('sharepoint-sites', data.sharePointSites);
+        this.setMetricValue('teams-sites', data.teamsSites);
+        this.setMetricValue('total-sites', data.totalSites);
+    }
+
+    populateTeamsData() {
+        const data = this.reportData.teamsData;
+        this.setMetricValue('total-teams', data.totalTeams);
+        this.setMetricValue('total-groups', data.totalGroups);
+        this.setMetricValue('teams-cost-per-message', data.costPerMessage, v => v);
+        this.setMetricValue('teams-cost-per-million', data.costPerMillion, v => v);
+    }
+
+    populateLicensingData() {
+        const data = this.reportData.licensingData;
+        this.setMetricValue('licensed-users', data.licensedUsers);
+        this.setMetricValue('hycu-entitlement', data.pooledEntitlement !== null ? data.pooledEntitlement : data.hycuEntitlement);
+        this.setMetricValue('current-usage', data.currentUsage);
+        this.setMetricValue('additional-licenses', data.additionalLicenses);
+        document.querySelectorAll('.entitlement-per-user-label').forEach(label => {
+            label.textContent = this.capacitySettings.entitlementPerUserGB;
+        });
+
+        const breakdown = document.getElementById('additional-licenses-breakdown');
+        if (breakdown) {
+            breakdown.textContent = data.additionalLicenses === null
+                ? ''
+                : `${(data.storageLicenses || 0).toLocaleString()} for storage over the entitlement, ` +
+                  `${(data.mailboxLicenses || 0).toLocaleString()} for mailboxes under the current rules`;
+        }
+    }
+
+    populateMailboxData() {
+        const data = this.reportData.mailboxData;
+        this.setMetricValue('total-mailboxes', data.totalMailboxes);
+        this.setMetricValue('regular-mailboxes', data.regularMailboxes);
+        this.setMetricValue('shared-mailboxes', data.sharedMailboxes);
+        this.setMetricValue('resource-mailboxes', data.resourceMailboxes);
+        this.setMetricValue('archive-mailboxes', data.archiveMailboxes);
+        this.setMetricValue('archive-percentage', data.archivePercentage, v => v.toFixed(1) + '%');
+
+        // Allowance and excess follow the editable rules; the report's figures stay in the tooltip
+        const licensing = this.mailboxLicensing;
+        this.setMetricValue('shared-allowance', licensing ? licensing.allowance : data.sharedAllowance);
+        this.setMetricValue('excess-shared', licensing ? licensing.excessShared : data.excessShared);
+        if (licensing) {
+            document.getElementById('shared-allowance').title = `Report: ${data.sharedAllowance === null ? 'N/A' : data.sharedAllowance.toLocaleString()}`;
+            document.getElementById('excess-shared').title = `Report: ${data.excessShared === null ? 'N/A' : data.excessShared.toLocaleString()}`;
+        }
+        document.querySelectorAll('.allowance-percent-label').forEach(label => {
+            label.textContent = this.mailboxRules.allowancePercent;
+        });
+    }
+
+    populateCostAnalysis() {
+        const reported = this.reportData.costAnalysis;
+        const data = this.calculateCostEstimate();
+        const toDollars = v => `$${v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        this.costEstimate = data;
+
+        this.setMetricValue('monthly-storage-cost', data.monthlyStorage, toDollars);
+        this.setMetricValue('monthly-user-cost', data.monthlyWorkerNode, toDollars);
+        this.setMetricValue('total-monthly-cost', data.totalMonthly, toDollars);
+        this.setMetricValue('annual-cost', data.annual, toDollars);
+        this.setMetricValue('billed-storage', data.billedStorageGB, v => v.toLocaleString(undefined, { maximumFractionDigits: 1 }));
+        this.setMetricValue('tenant-size-tb', data.tenantSizeTB, v => v.toFixed(2));
+        this.setMetricValue('cost-per-licensed-user', data.costPerLicensedUser, toDollars);
+        this.setMetricValue('reported-total-monthly', reported.totalMonthly, toDollars);
+        this.createCostWaterfallChart();
+    }
+
+    // Raw size → compressed → grown → billed storage cost, using the live
+    // assumptions; tooltips show the report's own breakdown alongside
+    createCostWaterfallChart() {
+        const reported = this.reportData.costAnalysis;
+        const data = this.costEstimate;
+        const assumptions = this.costAssumptions;
+
+        const steps = [
+            { label: 'Current Storage', range: [0, data.currentStorageGB], color: '#667eea', reported: reported.currentStorage },
+            { label: `Compression (-${assumptions.compressionRate}%)`, range: [data.currentStorageGB, data.compressedStorageGB], color: '#28a745', reported: reported.compressedStorage },
+            { label: `Growth (+${assumptions.growthRate}%)`, range: [data.compressedStorageGB, data.projectedStorageGB], color: '#f093fb', reported: reported.projectedStorage }
+        ];
+        if (Math.abs(data.billedStorageGB - data.projectedStorageGB) > 0.01) {
+            steps.push({ label: 'Retention & Changes', range: [data.projectedStorageGB, data.billedStorageGB], color: '#ffc107', reported: null });
+        }
+        const costLabel = 'Annual Storage Cost';
+        const labels = steps.map(step => step.label).concat(costLabel);
+        const toGB = v => `${v.toLocaleString(undefined, { maximumFractionDigits: 1 })} GB`;
+        const toDollars = v => `$${v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+        this.charts.update('cost-waterfall-chart', {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Storage (GB)',
+                        data: steps.map(step => step.range).concat([null]),
+                        backgroundColor: steps.map(step => step.color),
+                        yAxisID: 'y',
+                        skipNull: true
+                    },
+                    {
+                        label: 'Cost (USD)',
+                        data: steps.map(() => null).concat([data.annualStorage]),
+                        backgroundColor: '#764ba2',
+                        yAxisID: 'cost',
+                        skipNull: true
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Storage (GB)'
+                        }
+                    },
+                    cost: {
+                        position: 'right',
+                        beginAtZero: true,
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Annual Cost (USD)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                if (context.datasetIndex === 1) {
+                                    return `Scenario: ${toDollars(context.raw)}`;
+                                }
+                                const [start, end] = context.raw;
+                                if (context.dataIndex === 0) {
+                                    return `Scenario: ${toGB(end)}`;
+                                }
+                                const change = end - start;
+                                return `Scenario: ${change < 0 ? '-' : '+'}${toGB(Math.abs(change))} → ${toGB(end)}`;
+                            },
+                            footer: (items) => {
+                                const index = items[0].dataIndex;
+                                const value = index < steps.length ? steps[index].reported : reported.annualStorage;
+                                if (value === null || value === undefined) {
+                                    return '';
+                                }
+                                return `Report: ${index < steps.length ? toGB(value) : toDollars(value)}`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    populateCostOptimization() {
+        if (!this.reportData) {
+            return;
+        }
+        const result = this.calculateCostOptimization();
+        const loaded = this.optimization.loaded;
+        const toDollars = v => `$${v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+        this.setMetricValue('optimization-current-monthly', result.currentMonthly, toDollars);
+        this.setMetricValue('optimization-optimized-monthly', result.optimizedMonthly, toDollars);
+        this.setMetricValue('optimization-current-annual', result.currentAnnual, toDollars);
+        this.setMetricValue('optimization-optimized-annual', result.optimizedAnnual, toDollars);
+        this.setMetricValue('optimization-savings', result.annualSavings, toDollars);
+        this.setMetricValue('optimization-roi', result.roiPercentage, v => `${v.toFixed(1)}%`);
+        const formatPayback = v => (v < 1 ? `${(v * 12).toFixed(1)} months` : `${v.toFixed(1)} years`);
+        this.setMetricValue('optimization-payback', result.paybackYears, formatPayback);
+        if (result.paybackYears === null) {
+            document.getElementById('optimization-payback').textContent = 'Never';
+        }
+
+        // Only figures the file actually reported are quoted
+        if (loaded) {
+            const reported = [];
+            if (typeof loaded.optimizedAnnual === 'number') {
+                reported.push(`${toDollars(loaded.optimizedAnnual)} optimized annual cost`);
+            }
+            if (typeof loaded.roiPercentage === 'number') {
+                reported.push(`${loaded.roiPercentage.toFixed(1)}% ROI`);
+            }
+            if (typeof loaded.paybackYears === 'number') {
+                reported.push(`a payback period of ${formatPayback(loaded.paybackYears)}`);
+            }
+            const summary = reported.length > 1
+                ? `${reported.slice(0, -1).join(', ')} and ${reported[reported.length - 1]}`
+                : reported[0];
+            document.getElementById('optimization-source').textContent = `Starting values from ${loaded.fileName}.` +
+                (summary ? ` The file reported ${summary} for its own tenant.` : '');
+        } else {
+            document.getElementById('optimization-source').textContent =
+                'Using the default optimization scenario. Load a cost-optimization JSON file to start from its values.';
+        }
+
+        this.populateOptimizationTable(result);
+
+        const list = document.getElementById('optimization-recommendations');
+        list.innerHTML = '';
+        (loaded ? loaded.recommendations : []).forEach(recommendation => {
+            const item = document.createElement('li');
+            item.innerHTML = '<strong></strong> <span class="priority-badge"></span> <span></span>';
+            item.querySelector('strong').textContent = recommendation.Category;
+            item.querySelector('.priority-badge').textContent = recommendation.Priority;
+            item.lastElementChild.textContent = ` ${recommendation.Description} (potential savings ${recommendation.PotentialSavings})`;
+            list.appendChild(item);
+        });
+    }
+
+    // Hot and cool shares and retention are editable; archive takes the remainder
+    populateOptimizationTable(result) {
+        const table = document.getElementById('optimization-table');
+        table.innerHTML = '';
+        const headerRow = table.createTHead().insertRow();
+        ['Workload', 'Size (GB)', 'Hot %', 'Cool %', 'Archive %', 'Retention (years)', 'Current $/month', 'Optimized $/month']
+            .forEach(label => {
+                headerRow.appendChild(document.createElement('th')).textContent = label;
+            });
+
+        const tbody = table.createTBody();
+        const money = v => `$${v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        result.workloads.forEach(workload => {
+            const settings = this.optimization.workloads[workload.key];
+            const row = tbody.insertRow();
+            row.insertCell().textContent = workload.label;
+            row.insertCell().textContent = workload.sizeGB.toLocaleString(undefined, { maximumFractionDigits: 1 });
+
+            const numberInput = (value, min, max, onChange) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = min;
+                input.max = max;
+                input.value = value;
+                input.addEventListener('change', () => {
+                    const parsed = parseFloat(input.value);
+                    if (!isNaN(parsed)) {
+                        onChange(Math.min(max, Math.max(min, parsed)));
+                    }
+                    this.populateCostOptimization();
+                });
+                row.insertCell().appendChild(input);
+            };
+            numberInput(settings.hot, 0, 100, value => {
+                settings.hot = value;
+                settings.cool = Math.min(settings.cool, 100 - value);
+                settings.archive = 100 - settings.hot - settings.cool;
+            });
+            numberInput(settings.cool, 0, 100 - settings.hot, value => {
+                settings.cool = value;
+                settings.archive = 100 - settings.hot - settings.cool;
+            });
+            row.insertCell().textContent = settings.archive;
+            numberInput(workload.retentionYears, 1, 10, value => {
+                settings.retentionYears = value;
+            });
+            row.insertCell().textContent = money(workload.currentMonthly);
+            row.insertCell().textContent = money(workload.optimizedMonthly);
+        });
+    }
+
+    populateStorageModel() {
+        if (!this.reportData) {
             return;
         }
+        this.refreshSharedAssumptions('storage-model-assumptions', 'storage-model', STORAGE_MODEL_ASSUMPTIONS);
+        const model = this.calculateStorageModel();
+        const toGB = v => `${Math.round(v).toLocaleString()} GB`;
 
-        new Chart(ctx, {
+        this.setMetricValue('storage-model-first-year', model.firstYearGB, toGB);
+        this.setMetricValue('storage-model-total', model.totalGB, toGB);
+        this.setMetricValue('storage-model-full', model.fullGB, toGB);
+        this.setMetricValue('storage-model-incremental', model.incrementalGB, toGB);
+        this.setMetricValue('storage-model-cost', model.monthlyCost, v => `$${v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+        document.getElementById('storage-model-horizon').textContent = `After ${model.months} months`;
+
+        const table = document.getElementById('storage-model-table');
+        table.innerHTML = '';
+        const headerRow = table.createTHead().insertRow();
+        ['Workload', 'Retention', 'Full Backups (GB)', 'Incrementals (GB)', 'Protected Storage (GB)', 'Peak (GB)']
+            .forEach(label => {
+                headerRow.appendChild(document.createElement('th')).textContent = label;
+            });
+        const tbody = table.createTBody();
+        model.workloads.forEach(workload => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = workload.label;
+            row.insertCell().textContent = `${workload.retentionYears} yr`;
+            [workload.fullGB, workload.incrementalGB, workload.totalGB, workload.peakGB].forEach(value => {
+                row.insertCell().textContent = Math.round(value).toLocaleString();
+            });
+        });
+
+        this.createStorageModelChart(model);
+    }
+
+    // Stacked monthly protected storage per workload
+    createStorageModelChart(model) {
+        const labels = model.totals.map((total, index) => `M${index + 1}`);
+        this.charts.update('storage-model-chart', {
             type: 'bar',
             data: {
-                labels: data.map(item => item.name.length > 15 ? item.name.substring(0, 15) + '...' : item.name),
+                labels,
+                datasets: model.workloads.map(workload => ({
+                    label: workload.label,
+                    data: workload.series.map(point => point.totalGB),
+                    backgroundColor: workload.color,
+                    stack: 'storage'
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { stacked: true },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Protected Storage (GB)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: items => `Month ${items[0].dataIndex + 1}`,
+                            label: context => {
+                                const point = model.workloads[context.datasetIndex].series[context.dataIndex];
+                                const toGB = v => v.toLocaleString(undefined, { maximumFractionDigits: 1 });
+                                return `${context.dataset.label}: ${toGB(point.totalGB)} GB (full ${toGB(point.fullGB)}, incremental ${toGB(point.incrementalGB)})`;
+                            },
+                            footer: items => `Total: ${model.totals[items[0].dataIndex].toLocaleString(undefined, { maximumFractionDigits: 1 })} GB`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    populateCompliance() {
+        if (!this.reportData) {
+            return;
+        }
+        this.renderComplianceProfiles();
+        const requirements = this.getComplianceRequirements();
+        const withCompliance = this.calculateCostEstimate();
+        const withoutCompliance = this.calculateCostEstimate(this.costAssumptions, this.reportData, {});
+        const plan = this.calculateBackupPlan();
+
+        const table = document.getElementById('compliance-table');
+        table.innerHTML = '';
+        const headerRow = table.createTHead().insertRow();
+        ['Workload', 'Scenario Retention', 'Compliance Minimum', 'Applied Retention', 'Backup Storage (GB)']
+            .forEach(label => {
+                headerRow.appendChild(document.createElement('th')).textContent = label;
+            });
+        const tbody = table.createTBody();
+        plan.workloads.forEach(workload => {
+            const minimum = requirements.retention[workload.key];
+            const row = tbody.insertRow();
+            row.insertCell().textContent = workload.label;
+            row.insertCell().textContent = `${this.costAssumptions.retentionYears} yr`;
+            row.insertCell().textContent = minimum ? `${minimum} yr` : '-';
+            row.insertCell().textContent = `${workload.retentionYears} yr`;
+            row.insertCell().textContent = workload.storageGB === null ? 'Included above' : Math.round(workload.storageGB).toLocaleString();
+        });
+
+        const list = document.getElementById('compliance-requirements');
+        list.innerHTML = '';
+        const addItem = (label, text) => {
+            const item = document.createElement('li');
+            item.innerHTML = '<strong></strong> <span></span>';
+            item.querySelector('strong').textContent = `${label}:`;
+            item.querySelector('span').textContent = text;
+            list.appendChild(item);
+        };
+        if (requirements.profiles.length > 0) {
+            addItem('Encryption', requirements.encryption.length > 0 ? `Required by ${requirements.encryption.join(', ')}` : 'Not required');
+            addItem('Audit Logging', requirements.auditLogging.length > 0 ? `Required by ${requirements.auditLogging.join(', ')}` : 'Not required');
+            addItem('Data Residency', requirements.residency.length > 0
+                ? requirements.residency.map(({ profile, residency }) => `${residency} (${profile})`).join('; ')
+                : 'No restriction');
+            requirements.controls.forEach(({ profile, control }) => addItem(profile, control));
+        }
+
+        const extraGB = withCompliance.billedStorageGB - withoutCompliance.billedStorageGB;
+        const extraCost = withCompliance.monthlyStorage - withoutCompliance.monthlyStorage;
+        document.getElementById('compliance-note').textContent = requirements.profiles.length === 0
+            ? 'No compliance profile selected. Backup storage follows the scenario retention.'
+            : extraGB > 0.5
+                ? `Compliance retention adds ${Math.round(extraGB).toLocaleString()} GB of backup storage and ` +
+                  `$${extraCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per month to the cost estimate.`
+                : 'The scenario retention already meets every selected profile.';
+    }
+
+    populateBackupPlan() {
+        if (!this.reportData) {
+            return;
+        }
+        const plan = this.calculateBackupPlan();
+        const settings = this.backupPlan.settings;
+        const recommended = this.reportData.backupPlan;
+        const hours = v => `${v} hour${v === 1 ? '' : 's'}`;
+
+        this.refreshSharedAssumptions('backup-retention', 'backup-plan', ['retentionYears']);
+
+        this.setMetricValue('backup-rpo', settings.rpoHours, hours);
+        this.setMetricValue('backup-rto', settings.rtoHours, hours);
+        this.setMetricValue('backup-retention-years', plan.retentionYears, v => `${v} year${v === 1 ? '' : 's'}`);
+        this.setMetricValue('backup-storage', plan.storageGB, v => `${Math.round(v).toLocaleString()} GB`);
+        this.setMetricValue('backup-monthly-cost', plan.monthlyStorage, v => `$${v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+        const notes = [];
+        if (plan.rpoMisses.length > 0) {
+            notes.push(`${plan.rpoMisses.join(', ')} ${plan.rpoMisses.length === 1 ? 'runs' : 'run'} less often than the ${hours(settings.rpoHours)} RPO target.`);
+        }
+        if (plan.meetsRto === false) {
+            notes.push(`The reported failover time (${recommended.disasterRecovery.FailoverTime}) exceeds the ${hours(settings.rtoHours)} RTO target.`);
+        }
+        if (recommended && recommended.storageEstimateGB !== null) {
+            notes.push(`The report estimated ${Math.round(recommended.storageEstimateGB).toLocaleString()} GB of backup storage for a ${recommended.retentionYears || '?'} year retention.`);
+        }
+        if (recommended && recommended.storageTiering) {
+            const tiers = recommended.storageTiering.map(tier => `${tier.label} ${tier.percentage}%${tier.storageClass ? ` (${tier.storageClass})` : ''}`);
+            notes.push(`Recommended storage tiering: ${tiers.join(', ')}. Cost Optimization starts from this split.`);
+        }
+        if (!recommended) {
+            notes.push('This report has no backup recommendations, so the plan starts from the default schedule.');
+        }
+        const note = document.getElementById('backup-plan-note');
+        note.textContent = notes.join(' ');
+        note.classList.toggle('warning-text', plan.rpoMisses.length > 0 || plan.meetsRto === false);
+
+        this.populateBackupTimeline(plan);
+        this.populateBackupScheduleTable(plan);
+
+        const disasterRecovery = document.getElementById('backup-disaster-recovery');
+        disasterRecovery.innerHTML = '';
+        const drFields = recommended && recommended.disasterRecovery ? Object.entries(recommended.disasterRecovery) : [];
+        disasterRecovery.classList.toggle('hidden', drFields.length === 0);
+        drFields.forEach(([key, value]) => {
+            const item = document.createElement('li');
+            item.innerHTML = '<strong></strong> <span></span>';
+            item.querySelector('strong').textContent = `${key.replace(/([a-z])([A-Z])/g, '$1 $2')}:`;
+            item.querySelector('span').textContent = value;
+            disasterRecovery.appendChild(item);
+        });
+    }
+
+    // One 24-hour track per workload: the shaded backup window plus a tick for
+    // every scheduled run
+    populateBackupTimeline(plan) {
+        const container = document.getElementById('backup-timeline');
+        container.innerHTML = '';
+        const { windowStart, windowHours } = this.backupPlan.settings;
+        const percent = hour => `${hour / 24 * 100}%`;
+
+        plan.workloads.forEach(workload => {
+            const row = document.createElement('div');
+            row.className = 'backup-timeline-row';
+            row.innerHTML = '<span class="backup-timeline-label"></span><div class="backup-timeline-track"></div>';
+            row.querySelector('.backup-timeline-label').textContent = workload.label;
+            const track = row.querySelector('.backup-timeline-track');
+
+            // A window that runs past midnight is drawn as two segments
+            const segments = windowStart + windowHours > 24
+                ? [[windowStart, 24 - windowStart], [0, windowStart + windowHours - 24]]
+                : [[windowStart, windowHours]];
+            segments.forEach(([start, length]) => {
+                const segment = document.createElement('div');
+                segment.className = 'backup-timeline-window';
+                segment.style.left = percent(start);
+                segment.style.width = percent(length);
+                track.appendChild(segment);
+            });
+
+            workload.runTimes.forEach(hour => {
+                const tick = document.createElement('div');
+                tick.className = 'backup-timeline-run';
+                tick.style.left = percent(hour);
+                tick.style.background = workload.color;
+                tick.title = `${workload.label} backup at ${String(hour).padStart(2, '0')}:00`;
+                track.appendChild(tick);
+            });
+            container.appendChild(row);
+        });
+
+        const axis = document.createElement('div');
+        axis.className = 'backup-timeline-row backup-timeline-axis';
+        axis.innerHTML = '<span class="backup-timeline-label"></span><div class="backup-timeline-track"></div>';
+        [0, 6, 12, 18, 24].forEach(hour => {
+            const label = document.createElement('span');
+            label.style.left = percent(hour);
+            label.textContent = `${String(hour).padStart(2, '0')}:00`;
+            axis.querySelector('.backup-timeline-track').appendChild(label);
+        });
+        container.appendChild(axis);
+    }
+
+    populateBackupScheduleTable(plan) {
+        const table = document.getElementById('backup-schedule-table');
+        table.innerHTML = '';
+        const headerRow = table.createTHead().insertRow();
+        ['Workload', 'Schedule', 'Runs / Day', 'Retention', 'Recovery Points Kept', 'Meets RPO', 'Backup Storage (GB)', 'Storage $/month']
+            .forEach(label => {
+                headerRow.appendChild(document.createElement('th')).textContent = label;
+            });
+
+        const tbody = table.createTBody();
+        plan.workloads.forEach(workload => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = workload.label;
+
+            const select = document.createElement('select');
+            Object.entries(BACKUP_INTERVALS).forEach(([value, label]) => select.add(new Option(label, value)));
+            select.value = String(workload.intervalHours);
+            select.addEventListener('change', () => {
+                this.backupPlan.intervals[workload.key] = parseInt(select.value, 10);
+                this.populateBackupPlan();
+            });
+            row.insertCell().appendChild(select);
+
+            row.insertCell().textContent = workload.runsPerDay;
+            row.insertCell().textContent = `${workload.retentionYears} yr`;
+            row.insertCell().textContent = workload.recoveryPoints.toLocaleString();
+            const rpoCell = row.insertCell();
+            rpoCell.textContent = workload.meetsRpo ? 'Yes' : 'No';
+            rpoCell.classList.toggle('warning-text', !workload.meetsRpo);
+            row.insertCell().textContent = workload.storageGB === null
+                ? 'Included above'
+                : Math.round(workload.storageGB).toLocaleString();
+            row.insertCell().textContent = workload.monthlyCost === null
+                ? '-'
+                : `$${workload.monthlyCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        });
+    }
+
+    populateCapacityForecast() {
+        const forecast = this.capacityForecast;
+        const summary = document.getElementById('capacity-summary');
+        const table = document.getElementById('capacity-forecast-table');
+        table.innerHTML = '';
+        if (!forecast) {
+            summary.textContent = 'No forecast: the report has no licensed users or storage usage, so there is no entitlement to measure against.';
+            this.charts.showEmpty('entitlement-gauge-chart', 'No entitlement data in this report');
+            return;
+        }
+
+        const scenario = forecast.scenarios.find(item => item.scenario);
+        summary.textContent = `${forecast.percentUsed.toFixed(1)}% of the ${forecast.entitlement.toLocaleString()} GB pooled entitlement is used. ` +
+            `At the cost scenario's ${scenario.rate}% growth, ${this.describeBreach(scenario, forecast.horizonYears)}.`;
+
+        const headerRow = table.createTHead().insertRow();
+        ['Growth Rate', 'Exceeds Entitlement'].concat(scenario.licensesByYear.map((count, index) => `Year ${index + 1}`))
+            .forEach(label => {
+                headerRow.appendChild(document.createElement('th')).textContent = label;
+            });
+        const tbody = table.createTBody();
+        forecast.scenarios.forEach(item => {
+            const row = tbody.insertRow();
+            row.classList.toggle('selected', item.scenario);
+            row.insertCell().textContent = item.label;
+            row.insertCell().textContent = this.formatBreach(item);
+            item.licensesByYear.forEach((count, index) => {
+                const added = count - (index === 0 ? forecast.storageLicenses : item.licensesByYear[index - 1]);
+                const cell = row.insertCell();
+                cell.textContent = added > 0 ? `${count.toLocaleString()} (+${added.toLocaleString()})` : count.toLocaleString();
+                cell.title = `Additional licenses needed by the end of year ${index + 1}`;
+            });
+        });
+
+        this.createEntitlementGauge();
+    }
+
+    formatBreach(scenario) {
+        if (scenario.breachMonth === null) {
+            return 'Not within horizon';
+        }
+        if (scenario.breachMonth === 0) {
+            return 'Already exceeded';
+        }
+        return scenario.breachDate.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+    }
+
+    describeBreach(scenario, horizonYears) {
+        if (scenario.breachMonth === null) {
+            return `usage stays within the entitlement for the next ${horizonYears} years`;
+        }
+        if (scenario.breachMonth === 0) {
+            return 'usage already exceeds the entitlement';
+        }
+        return `usage exceeds the entitlement in ${this.formatBreach(scenario)} (month ${scenario.breachMonth})`;
+    }
+
+    // Half doughnut: entitlement used vs headroom, or the whole entitlement plus overage
+    createEntitlementGauge() {
+        const forecast = this.capacityForecast;
+        const over = forecast.usage > forecast.entitlement;
+        const values = over
+            ? [forecast.entitlement, forecast.usage - forecast.entitlement]
+            : [forecast.usage, forecast.entitlement - forecast.usage];
+
+        this.charts.update('entitlement-gauge-chart', {
+            type: 'doughnut',
+            data: {
+                labels: over ? ['Entitlement (fully used)', 'Over entitlement'] : ['Used', 'Headroom'],
                 datasets: [{
-                    label: 'Size (GB)',
-                    data: data.map(item => item.size),
-                    backgroundColor: '#667eea',
-                    borderColor: '#764ba2',
-                    borderWidth: 1
+                    data: values,
+                    backgroundColor: over ? [this.charts.theme.palette[0], this.charts.theme.outlier] : [this.charts.theme.palette[0], '#e9ecef'],
+                    borderWidth: 0
                 }]
             },
             options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                rotation: -90,
+                circumference: 180,
+                cutout: '70%',
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.label}: ${context.parsed.toLocaleString(undefined, { maximumFractionDigits: 1 })} GB`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createCharts() {
+        this.createStorageDistributionChart();
+        this.createGrowthProjectionChart();
+        this.createLicenseTierChart();
+        this.createTopNCharts();
+    }
+
+    createLicenseTierChart() {
+        const tiers = this.reportData.licensingData.tiers;
+        if (tiers.length === 0) {
+            this.charts.showEmpty('license-tier-chart', 'No license distribution data in this report');
+            return;
+        }
+
+        this.charts.render('license-tier-chart', {
+            type: 'bar',
+            data: {
+                labels: tiers.map(tier => tier.licenseType),
+                datasets: [
+                    { label: 'Consumed', data: tiers.map(tier => tier.consumed), backgroundColor: '#667eea', borderWidth: 0 },
+                    { label: 'Available', data: tiers.map(tier => tier.available), backgroundColor: '#f093fb', borderWidth: 0 }
+                ]
+            },
+            options: {
+                indexAxis: 'y',
                 responsive: true,
                 maintainAspectRatio: false,
                 scales: {
-                    y: {
+                    x: {
+                        stacked: true,
                         beginAtZero: true,
                         title: {
                             display: true,
-                            text: 'Size (GB)'
+                            text: 'Seats'
                         }
+                    },
+                    y: {
+                        stacked: true
                     }
                 },
                 plugins: {
+                    title: {
+                        display: true,
+                        text: 'License Distribution by Tier'
+                    },
                     legend: {
-                        display: false
+                        position: 'bottom',
+                        labels: {
+                            usePointStyle: true
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            footer: (items) => `Storage limit: ${tiers[items[0].dataIndex].storageLimit || 'N/A'}`
+                        }
                     }
                 }
             }
         });
     }
 
-    createTop5OneDriveChart() {
-        const ctx = document.getElementById('top5-onedrive-chart').getContext('2d');
-        const data = this.reportData.top5Data.oneDrive;
-        
-        if (data.length === 0) {
-            ctx.fillText('No data available', 10, 50);
-            return;
+    // Year 1 comes straight from the report's Growth Projections table; later
+    // years compound the same annual rate from there
+    buildGrowthSeries(currentSize, projections, years = GROWTH_PROJECTION_YEARS) {
+        return Object.keys(projections).map(Number).sort((a, b) => a - b).map(rate => {
+            const values = [currentSize];
+            for (let year = 1; year <= years; year++) {
+                values.push(projections[rate] * Math.pow(1 + rate / 100, year - 1));
+            }
+            return { rate, values };
+        });
+    }
+
+    createGrowthProjectionChart() {
+        const data = this.reportData.growthData;
+        const currentSize = data.currentSize || 0;
+        const colors = this.charts.theme.palette;
+
+        const labels = ['Current'];
+        for (let year = 1; year <= GROWTH_PROJECTION_YEARS; year++) {
+            labels.push(`Year ${year}`);
         }
 
-        new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: data.map(item => item.name.length > 15 ? item.name.substring(0, 15) + '...' : item.name),
-                datasets: [{
-                    label: 'Size (GB)',
-                    data: data.map(item => item.size),
-                    backgroundColor: '#764ba2',
-                    borderColor: '#667eea',
-                    borderWidth: 1
-                }]
-            },
+        const datasets = this.buildGrowthSeries(currentSize, data.projections).map((series, index) => ({
+            label: `${series.rate}% annual growth`,
+            data: series.values,
+            borderColor: colors[index % colors.length],
+            backgroundColor: colors[index % colors.length] + '33',
+            fill: index === 0 ? 'origin' : '-1',
+            tension: 0.3
+        }));
+        const scenarioRate = this.costAssumptions.growthRate;
+        datasets.push({
+            label: `Cost scenario (${scenarioRate}% growth)`,
+            data: labels.map((label, year) => currentSize * Math.pow(1 + scenarioRate / 100, year)),
+            borderColor: '#dc3545',
+            borderDash: [2, 3],
+            fill: false
+        });
+        datasets.push({
+            label: 'Current size (baseline)',
+            data: labels.map(() => currentSize),
+            borderColor: '#6c757d',
+            borderDash: [6, 4],
+            pointRadius: 0,
+            fill: false
+        });
+
+        this.charts.update('growth-projection-chart', {
+            type: 'line',
+            data: { labels, datasets },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 scales: {
                     y: {
-                        beginAtZero: true,
+                        beginAtZero: false,
                         title: {
                             display: true,
-                            text: 'Size (GB)'
+                            text: 'Projected Size (GB)'
                         }
                     }
                 },
                 plugins: {
                     legend: {
-                        display: false
+                        position: 'bottom',
+                        labels: {
+                            usePointStyle: true
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const value = context.parsed.y;
+                                const increase = currentSize > 0 ? ((value / currentSize - 1) * 100).toFixed(1) : 0;
+                                return `${context.dataset.label}: ${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} GB (+${increase}%)`;
+                            }
+                        }
                     }
                 }
             }
         });
     }
 
-    createTop5SharePointChart() {
-        const ctx = document.getElementById('top5-sharepoint-chart').getContext('2d');
-        const data = this.reportData.top5Data.sharePoint;
-        
+    initializeTopNControls() {
+        const controls = {
+            count: { id: 'topn-count', event: 'change', read: input => Math.max(1, parseInt(input.value) || 1) },
+            threshold: { id: 'topn-threshold', event: 'change', read: input => Math.max(0, parseFloat(input.value) || 0) },
+            search: { id: 'topn-search', event: 'input', read: input => input.value },
+            workload: { id: 'topn-workload', event: 'change', read: input => input.value }
+        };
+        Object.entries(controls).forEach(([key, control]) => {
+            const input = document.getElementById(control.id);
+            input.value = this.topN[key];
+            input.addEventListener(control.event, () => {
+                this.topN[key] = control.read(input);
+                input.value = this.topN[key];
+                this.onTopNChanged(key);
+            });
+        });
+    }
+
+    onTopNChanged(key) {
+        if (!this.reportData) {
+            return;
+        }
+        this.populateTopNTable();
+        // Search and workload only filter the table
+        if (key === 'count' || key === 'threshold') {
+            this.createTopNCharts();
+        }
+    }
+
+    // Top N items per workload, filtered by the search text and sorted by the chosen column
+    getTopNRows() {
+        const search = this.topN.search.trim().toLowerCase();
+        const rows = [];
+        TOP_N_WORKLOADS
+            .filter(workload => this.topN.workload === 'all' || this.topN.workload === workload.key)
+            .forEach(workload => {
+                const workloadSize = this.reportData.storageData[workload.storageKey];
+                this.reportData.top5Data[workload.key].slice(0, this.topN.count).forEach(item => {
+                    rows.push({
+                        workload: workload.label,
+                        name: item.name,
+                        size: item.size,
+                        share: workloadSize ? item.size / workloadSize * 100 : null,
+                        outlier: item.size > this.topN.threshold
+                    });
+                });
+            });
+
+        const direction = this.topN.sortDirection === 'asc' ? 1 : -1;
+        const key = this.topN.sortKey;
+        return rows
+            .filter(row => !search || row.name.toLowerCase().includes(search) || row.workload.toLowerCase().includes(search))
+            .sort((a, b) => {
+                if (a[key] === null || b[key] === null) {
+                    return (a[key] === null) - (b[key] === null);
+                }
+                const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+                return order * direction || b.size - a.size;
+            });
+    }
+
+    populateTopNTable() {
+        const available = Math.max(...TOP_N_WORKLOADS.map(workload => this.reportData.top5Data[workload.key].length));
+        document.querySelectorAll('.topn-count-label').forEach(label => {
+            label.textContent = this.topN.count;
+        });
+        document.getElementById('topn-note').textContent = this.topN.count > available
+            ? `The report lists at most ${available} items per workload.`
+            : '';
+
+        const table = document.getElementById('topn-table');
+        table.innerHTML = '';
+        const headerRow = table.createTHead().insertRow();
+        TOP_N_COLUMNS.forEach(column => {
+            const th = document.createElement('th');
+            const sorted = this.topN.sortKey === column.key;
+            th.textContent = column.label + (sorted ? (this.topN.sortDirection === 'asc' ? ' ▲' : ' ▼') : '');
+            th.className = 'sortable';
+            th.title = `Sort by ${column.label}`;
+            th.addEventListener('click', () => {
+                this.topN.sortDirection = sorted && this.topN.sortDirection === 'desc' ? 'asc' : 'desc';
+                this.topN.sortKey = column.key;
+                this.populateTopNTable();
+            });
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        const rows = this.getTopNRows();
+        if (rows.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = TOP_N_COLUMNS.length;
+            cell.textContent = 'No items match the current filters.';
+            return;
+        }
+        rows.forEach(row => {
+            const tr = tbody.insertRow();
+            tr.classList.toggle('topn-outlier', row.outlier);
+            tr.insertCell().textContent = row.workload;
+            const nameCell = tr.insertCell();
+            nameCell.textContent = row.name;
+            nameCell.title = row.name;
+            tr.insertCell().textContent = COMPARISON_FORMATS.gb(row.size);
+            tr.insertCell().textContent = row.share === null ? 'N/A' : `${row.share.toFixed(1)}%`;
+            tr.insertCell().textContent = row.outlier ? `Above ${COMPARISON_FORMATS.gb(this.topN.threshold)} GB` : '';
+        });
+    }
+
+    createTopNCharts() {
+        TOP_N_WORKLOADS.forEach(workload => this.createTopNChart(workload));
+    }
+
+    createTopNChart(workload) {
+        const data = this.reportData.top5Data[workload.key].slice(0, this.topN.count);
         if (data.length === 0) {
-            ctx.fillText('No data available', 10, 50);
+            this.charts.showEmpty(workload.canvasId, `No ${workload.label} items in this report`);
             return;
         }
 
-        new Chart(ctx, {
+        this.charts.render(workload.canvasId, {
             type: 'bar',
             data: {
-                labels: data.map(item => item.name.length > 15 ? item.name.substring(0, 15) + '...' : item.name),
+                labels: data.map(item => item.name),
                 datasets: [{
                     label: 'Size (GB)',
                     data: data.map(item => item.size),
-                    backgroundColor: '#f093fb',
-                    borderColor: '#667eea',
+                    backgroundColor: data.map(item => (item.size > this.topN.threshold ? this.charts.theme.outlier : workload.color)),
+                    borderColor: workload.borderColor,
                     borderWidth: 1
                 }]
             },
@@ -479,6 +4671,11 @@ class M365Dashboard {
                 responsive: true,
                 maintainAspectRatio: false,
                 scales: {
+                    x: {
+                        ticks: {
+                            callback: shortChartLabel
+                        }
+                    },
                     y: {
                         beginAtZero: true,
                         title: {
@@ -497,30 +4694,33 @@ class M365Dashboard {
     }
 
     createStorageDistributionChart() {
-        const ctx = document.getElementById('storage-distribution-chart').getContext('2d');
         const data = this.reportData.storageData;
-        
+        const palette = this.charts.theme.palette;
+
+        // Shares of the Total Storage figure on the card. Archive and Recoverable
+        // Items are not part of that total, so they are listed on the card only.
+        const segments = [
+            { label: 'Exchange Online', value: data.exchangeSize, color: palette[0] },
+            { label: 'OneDrive for Business', value: data.oneDriveSize, color: palette[1] },
+            { label: 'SharePoint Online', value: data.sharePointSize, color: palette[2] }
+        ];
+
         // Calculate percentages
-        const total = data.exchangeSize + data.oneDriveSize + data.sharePointSize;
-        const exchangePercent = total > 0 ? (data.exchangeSize / total * 100).toFixed(1) : 0;
-        const oneDrivePercent = total > 0 ? (data.oneDriveSize / total * 100).toFixed(1) : 0;
-        const sharePointPercent = total > 0 ? (data.sharePointSize / total * 100).toFixed(1) : 0;
+        const total = data.totalSize !== null && data.totalSize !== undefined
+            ? data.totalSize
+            : segments.reduce((sum, segment) => sum + (segment.value || 0), 0);
+        if (!(total > 0)) {
+            this.charts.showEmpty('storage-distribution-chart', 'No storage data in this report');
+            return;
+        }
 
-        new Chart(ctx, {
+        this.charts.render('storage-distribution-chart', {
             type: 'doughnut',
             data: {
-                labels: [
-                    `Exchange Online (${exchangePercent}%)`,
-                    `OneDrive for Business (${oneDrivePercent}%)`,
-                    `SharePoint Online (${sharePointPercent}%)`
-                ],
+                labels: segments.map(segment => `${segment.label} (${(segment.value / total * 100).toFixed(1)}%)`),
                 datasets: [{
-                    data: [data.exchangeSize, data.oneDriveSize, data.sharePointSize],
-                    backgroundColor: [
-                        '#667eea',
-                        '#764ba2',
-                        '#f093fb'
-                    ],
+                    data: segments.map(segment => segment.value),
+                    backgroundColor: segments.map(segment => segment.color),
                     borderWidth: 0
                 }]
             },
@@ -528,6 +4728,10 @@ class M365Dashboard {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
+                    title: {
+                        display: true,
+                        text: `Share of Total Storage (${total.toLocaleString(undefined, { maximumFractionDigits: 1 })} GB)`
+                    },
                     legend: {
                         position: 'bottom',
                         labels: {
@@ -552,562 +4756,936 @@ class M365Dashboard {
 }
 
 // Export functions
-function exportToPDF() {
-    if (!window.dashboard || !window.dashboard.reportData) {
-        return;
+
+// A4 portrait geometry in mm. Content flows between `top` and `bottom`;
+// the running header and footer sit outside that band.
+const PDF_PAGE = { width: 210, height: 297, margin: 20, top: 25, bottom: 278 };
+
+const PDF_COLORS = {
+    primary: [102, 126, 234], // #667eea
+    secondary: [118, 75, 162], // #764ba2
+    text: [0, 0, 0],
+    muted: [120, 120, 120],
+    white: [255, 255, 255]
+};
+
+// Flows PDF content top to bottom. Every block measures itself first and
+// starts a new page when it does not fit, so nothing is dropped.
+class PdfLayout {
+    constructor(doc, colors = PDF_COLORS) {
+        this.doc = doc;
+        this.colors = colors;
+        this.y = PDF_PAGE.top;
+        this.left = PDF_PAGE.margin;
+        this.right = PDF_PAGE.width - PDF_PAGE.margin;
+        this.contentWidth = this.right - this.left;
     }
 
-    try {
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF('p', 'mm', 'a4');
-        
-        // Set up fonts and colors
-        doc.setFont('helvetica');
-        const primaryColor = [102, 126, 234]; // #667eea
-        const secondaryColor = [118, 75, 162]; // #764ba2
-        const accentColor = [240, 147, 251]; // #f093fb
-        const darkGray = [60, 60, 60];
-        const lightGray = [120, 120, 120];
-        
-        // Header with gradient background
-        doc.setFillColor(...primaryColor);
-        doc.rect(0, 0, 210, 35, 'F');
-        
-        
-        // Title
-        doc.setFontSize(20);
-        doc.setTextColor(255, 255, 255);
-        doc.setFont('helvetica', 'bold');
-        doc.text('HYCU M365 Sizing Report', 20, 18);
-        
-        // Subtitle
-        doc.setFontSize(10);
-        doc.setTextColor(255, 255, 255);
-        doc.setFont('helvetica', 'normal');
-        doc.text('Comprehensive Microsoft 365 Tenant Analysis for Backup Planning', 20, 23);
-        
-        // Date
-        doc.setFontSize(9);
-        doc.setTextColor(255, 255, 255);
-        doc.setFont('helvetica', 'normal');
-        doc.text(`Generated on: ${new Date().toLocaleDateString()}`, 20, 30);
-        
-        let yPosition = 40;
-        
-        // Tenant Overview
-        if (window.dashboard.reportData.tenantInfo) {
-            yPosition = addSectionToPDF(doc, 'Tenant Overview', window.dashboard.reportData.tenantInfo, yPosition);
+    // Returns true when a page break was needed
+    ensureSpace(height) {
+        if (this.y + height <= PDF_PAGE.bottom) {
+            return false;
         }
-        
-        // Storage Overview
-        if (window.dashboard.reportData.storageData) {
-            yPosition = addStorageSectionToPDF(doc, 'Storage Overview', window.dashboard.reportData.storageData, yPosition);
+        this.doc.addPage();
+        this.y = PDF_PAGE.top;
+        return true;
+    }
+
+    setStyle(size, color, weight = 'normal') {
+        this.doc.setFontSize(size);
+        this.doc.setTextColor(...color);
+        this.doc.setFont('helvetica', weight);
+    }
+
+    coverHeader(title, subtitle, dateLine) {
+        this.doc.setFillColor(...this.colors.primary);
+        this.doc.rect(0, 0, PDF_PAGE.width, 35, 'F');
+
+        this.setStyle(20, this.colors.white, 'bold');
+        this.doc.text(title, this.left, 18);
+        this.setStyle(10, this.colors.white);
+        this.doc.text(subtitle, this.left, 23);
+        this.setStyle(9, this.colors.white);
+        this.doc.text(dateLine, this.left, 30);
+        this.y = 45;
+    }
+
+    // Full-page proposal cover; content starts on the next page
+    coverPage({ title, preparedFor, preparedBy, logo }, tenantName, dateLine) {
+        this.doc.setFillColor(...this.colors.primary);
+        this.doc.rect(0, 0, PDF_PAGE.width, 80, 'F');
+
+        this.setStyle(26, this.colors.white, 'bold');
+        const titleLines = this.doc.splitTextToSize(title, this.contentWidth);
+        this.doc.text(titleLines, this.left, 40);
+        if (tenantName) {
+            this.setStyle(14, this.colors.white);
+            this.doc.text(tenantName, this.left, 42 + titleLines.length * 10);
         }
-        
-        // HYCU License Sizer
-        if (window.dashboard.reportData.licensingData) {
-            yPosition = addSectionToPDF(doc, 'HYCU License Sizer', window.dashboard.reportData.licensingData, yPosition);
+
+        let y = 100;
+        if (logo) {
+            let width = 80;
+            let height = width * logo.height / logo.width;
+            if (height > 40) {
+                width *= 40 / height;
+                height = 40;
+            }
+            this.doc.addImage(logo.dataUrl, logo.format, this.left, y, width, height);
+            y += height + 15;
         }
-        
-        // Service Overviews
-        yPosition = addServiceOverviewToPDF(doc, 'Service Overviews', window.dashboard.reportData, yPosition);
-        
-        // Top 5 Analysis
-        if (window.dashboard.reportData.top5Data) {
-            yPosition = addTop5ToPDF(doc, 'Top 5 by Size', window.dashboard.reportData.top5Data, yPosition);
+
+        [['PREPARED FOR', preparedFor], ['PREPARED BY', preparedBy]]
+            .filter(([, value]) => value && value.trim())
+            .forEach(([label, value]) => {
+                this.setStyle(9, this.colors.muted, 'bold');
+                this.doc.text(label, this.left, y);
+                this.setStyle(12, this.colors.text);
+                const lines = this.doc.splitTextToSize(value.trim(), this.contentWidth);
+                this.doc.text(lines, this.left, y + 6);
+                y += 14 + lines.length * 5;
+            });
+
+        this.setStyle(10, this.colors.muted);
+        this.doc.text(dateLine, this.left, y);
+
+        this.doc.addPage();
+        this.y = PDF_PAGE.top;
+    }
+
+    newPage() {
+        this.doc.addPage();
+        this.y = PDF_PAGE.top;
+    }
+
+    sectionTitle(title) {
+        // Keep a title on the same page as the start of its content
+        this.ensureSpace(35);
+        this.setStyle(14, this.colors.primary, 'bold');
+        this.doc.text(title, this.left, this.y);
+        this.y += 8;
+
+        this.doc.setDrawColor(...this.colors.primary);
+        this.doc.setLineWidth(0.5);
+        this.doc.line(this.left, this.y, this.right, this.y);
+        this.y += 8;
+    }
+
+    subheading(text) {
+        this.ensureSpace(20);
+        this.setStyle(12, this.colors.secondary, 'bold');
+        this.doc.text(text, this.left + 5, this.y);
+        this.y += 6;
+    }
+
+    // rows: [{ label, value }] with value already formatted as text
+    keyValues(rows) {
+        rows.forEach(row => {
+            this.ensureSpace(6);
+            this.setStyle(10, this.colors.text);
+            this.doc.text(`${row.label}:`, this.left + 5, this.y);
+            this.setStyle(10, this.colors.text, 'bold');
+            this.doc.text(row.value, 120, this.y);
+            this.y += 6;
+        });
+        this.y += 4;
+    }
+
+    // columns: [{ label, width, align }]; rows: arrays of cell text. Long
+    // cells wrap, and the header repeats on every page the table spans.
+    table(columns, rows, { totalRow = false } = {}) {
+        const lineHeight = 4.5;
+        const cellX = (column, x) => (column.align === 'right' ? x + column.width - 2 : x);
+        const drawCells = (cells) => {
+            let x = this.left + 5;
+            cells.forEach((lines, index) => {
+                const column = columns[index];
+                this.doc.text(lines, cellX(column, x), this.y, column.align === 'right' ? { align: 'right' } : undefined);
+                x += column.width;
+            });
+        };
+        const drawHeader = () => {
+            this.setStyle(9, this.colors.secondary, 'bold');
+            drawCells(columns.map(column => column.label));
+            this.y += 2;
+            this.doc.setDrawColor(...this.colors.muted);
+            this.doc.setLineWidth(0.2);
+            this.doc.line(this.left + 5, this.y, this.right, this.y);
+            this.y += 4;
+        };
+
+        this.ensureSpace(lineHeight * 3);
+        drawHeader();
+        rows.forEach((row, index) => {
+            const weight = totalRow && index === rows.length - 1 ? 'bold' : 'normal';
+            this.setStyle(9, this.colors.text, weight);
+            const cells = row.map((cell, cellIndex) => this.doc.splitTextToSize(String(cell), columns[cellIndex].width - 3));
+            const height = Math.max(...cells.map(lines => lines.length)) * lineHeight;
+            if (this.ensureSpace(height)) {
+                drawHeader();
+                this.setStyle(9, this.colors.text, weight);
+            }
+            drawCells(cells);
+            this.y += height;
+        });
+        this.y += 6;
+    }
+
+    // Embeds a rendered Chart.js canvas, scaled to fit maxWidth × maxHeight
+    chart(canvasId, { maxWidth = this.contentWidth, maxHeight = 90 } = {}) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas || !canvas.width || !canvas.height || !Chart.getChart(canvas)) {
+            return;
         }
-        
-        // Cost Estimation
-        if (window.dashboard.reportData.costAnalysis) {
-            yPosition = addCostEstimationToPDF(doc, 'Cost Estimation', window.dashboard.reportData.costAnalysis, yPosition);
+
+        let width = maxWidth;
+        let height = width * canvas.height / canvas.width;
+        if (height > maxHeight) {
+            width *= maxHeight / height;
+            height = maxHeight;
         }
-        
-        // Add a note if no data is available
-        if (yPosition <= 60) {
-            doc.setFontSize(12);
-            doc.setTextColor(100, 100, 100);
-            doc.text('No data available for export. Please upload a valid HYCU M365 report.', 20, yPosition);
+        this.ensureSpace(height + 4);
+        this.doc.addImage(canvas.toDataURL('image/png'), 'PNG', this.left + (this.contentWidth - width) / 2, this.y, width, height);
+        this.y += height + 8;
+    }
+
+    paragraph(text) {
+        this.setStyle(10, this.colors.text);
+        this.doc.splitTextToSize(text.trim(), this.contentWidth).forEach(line => {
+            this.ensureSpace(5);
+            this.doc.text(line, this.left, this.y);
+            this.y += 5;
+        });
+        this.y += 6;
+    }
+
+    bullets(items) {
+        items.forEach(item => {
+            this.setStyle(9, this.colors.muted);
+            const lines = this.doc.splitTextToSize(`• ${item}`, this.contentWidth - 10);
+            this.ensureSpace(lines.length * 4);
+            this.doc.text(lines, this.left + 10, this.y);
+            this.y += lines.length * 4;
+        });
+        this.y += 6;
+    }
+
+    // items: [{ text, checked }]; unchecked items get an empty box to tick by hand
+    checklist(items) {
+        items.forEach(item => {
+            this.setStyle(10, this.colors.text);
+            const lines = this.doc.splitTextToSize(item.text, this.contentWidth - 15);
+            this.ensureSpace(lines.length * 5 + 2);
+            this.doc.setDrawColor(...this.colors.secondary);
+            this.doc.setLineWidth(0.3);
+            this.doc.rect(this.left + 5, this.y - 3.2, 3.5, 3.5);
+            if (item.checked) {
+                this.doc.line(this.left + 5.6, this.y - 1.5, this.left + 6.6, this.y - 0.3);
+                this.doc.line(this.left + 6.6, this.y - 0.3, this.left + 8.1, this.y - 2.8);
+            }
+            this.doc.text(lines, this.left + 12, this.y);
+            this.y += lines.length * 5 + 2;
+        });
+        this.y += 4;
+    }
+
+    // Running header and page numbers, drawn once the page count is known
+    finish(headerText, footerText) {
+        const pages = this.doc.getNumberOfPages();
+        for (let page = 1; page <= pages; page++) {
+            this.doc.setPage(page);
+            this.doc.setDrawColor(...this.colors.muted);
+            this.doc.setLineWidth(0.2);
+            if (page > 1) {
+                this.setStyle(8, this.colors.primary, 'bold');
+                this.doc.text(headerText, this.left, 12);
+                this.doc.line(this.left, 14, this.right, 14);
+            }
+            this.doc.line(this.left, 284, this.right, 284);
+            this.setStyle(8, this.colors.muted);
+            this.doc.text(footerText, this.left, 289);
+            this.doc.text(`Page ${page} of ${pages}`, this.right, 289, { align: 'right' });
         }
-        
-        // Save the PDF
-        doc.save('HYCU-M365-Sizing-Report.pdf');
-        
-    } catch (error) {
-        console.error('Error generating PDF:', error);
     }
 }
 
-function addSectionToPDF(doc, title, data, yPosition) {
-    // Check if we need a new page
-    if (yPosition > 250) {
-        doc.addPage();
-        yPosition = 20;
-    }
-    
-    // Section title
-    doc.setFontSize(14);
-    doc.setTextColor(102, 126, 234);
-    doc.setFont('helvetica', 'bold');
-    doc.text(title, 20, yPosition);
-    yPosition += 8;
-    
-    // Add a line under the title
-    doc.setDrawColor(102, 126, 234);
-    doc.setLineWidth(0.5);
-    doc.line(20, yPosition, 190, yPosition);
-    yPosition += 8;
-    
-    // Add metrics in a simple list format
-    if (data) {
-        const metrics = Object.entries(data).slice(0, 6);
-        
-        metrics.forEach(([key, value]) => {
-            if (value !== undefined && value !== null && yPosition < 280) {
-                // Metric label
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'normal');
-                const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-                doc.text(`${label}:`, 25, yPosition);
-                
-                // Metric value
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'bold');
-                const displayValue = typeof value === 'number' ? value.toLocaleString() : value;
-                doc.text(displayValue, 120, yPosition);
-                
-                yPosition += 6;
-            }
-        });
-    }
-    
-    return yPosition + 10;
+function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    return match ? match.slice(1).map(part => parseInt(part, 16)) : PDF_COLORS.primary;
 }
 
-function addStorageSectionToPDF(doc, title, data, yPosition) {
-    // Check if we need a new page
-    if (yPosition > 250) {
-        doc.addPage();
-        yPosition = 20;
-    }
-    
-    // Section title
-    doc.setFontSize(14);
-    doc.setTextColor(102, 126, 234);
-    doc.setFont('helvetica', 'bold');
-    doc.text(title, 20, yPosition);
-    yPosition += 8;
-    
-    // Add a line under the title
-    doc.setDrawColor(102, 126, 234);
-    doc.setLineWidth(0.5);
-    doc.line(20, yPosition, 190, yPosition);
-    yPosition += 8;
-    
-    if (data) {
-        const storageMetrics = [
-            { label: 'Exchange (GB)', value: data.exchangeSize },
-            { label: 'OneDrive (GB)', value: data.oneDriveSize },
-            { label: 'SharePoint (GB)', value: data.sharePointSize },
-            { label: 'Total (GB)', value: data.totalSize }
-        ];
-        
-        storageMetrics.forEach(metric => {
-            if (metric.value !== undefined && metric.value !== null && yPosition < 280) {
-                // Metric label
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'normal');
-                doc.text(`${metric.label}:`, 25, yPosition);
-                
-                // Metric value
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'bold');
-                doc.text(metric.value.toLocaleString(), 120, yPosition);
-                
-                yPosition += 6;
-            }
-        });
-    }
-    
-    return yPosition + 10;
+// e.g. "HYCU-M365-Sizing-Proposal-Contoso-Corporation-2026-10-19.pdf"
+function proposalFileName(title, tenantName, date = new Date()) {
+    const slug = text => text.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '');
+    const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+    const name = [title, tenantName].filter(Boolean).map(slug).filter(Boolean).join('-');
+    return `${name || 'HYCU-M365-Sizing-Proposal'}-${day}.pdf`;
 }
 
-function addServiceOverviewToPDF(doc, title, data, yPosition) {
-    // Check if we need a new page
-    if (yPosition > 250) {
-        doc.addPage();
-        yPosition = 20;
-    }
-    
-    // Main section title
-    doc.setFontSize(14);
-    doc.setTextColor(102, 126, 234);
-    doc.setFont('helvetica', 'bold');
-    doc.text(title, 20, yPosition);
-    yPosition += 8;
-    
-    // Add a line under the title
-    doc.setDrawColor(102, 126, 234);
-    doc.setLineWidth(0.5);
-    doc.line(20, yPosition, 190, yPosition);
-    yPosition += 8;
-    
-    // Mailbox Overview
-    if (data.mailboxData) {
-        doc.setFontSize(12);
-        doc.setTextColor(118, 75, 162);
-        doc.setFont('helvetica', 'bold');
-        doc.text('Mailbox Overview', 25, yPosition);
-        yPosition += 6;
-        
-        const mailboxMetrics = Object.entries(data.mailboxData).slice(0, 4);
-        mailboxMetrics.forEach(([key, value]) => {
-            if (value !== undefined && value !== null && yPosition < 280) {
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'normal');
-                const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-                doc.text(`${label}:`, 30, yPosition);
-                
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'bold');
-                const displayValue = typeof value === 'number' ? value.toLocaleString() : value;
-                doc.text(displayValue, 120, yPosition);
-                
-                yPosition += 5;
-            }
-        });
-        yPosition += 5;
-    }
-    
-    // Sites & OneDrive Overview
-    if (data.sitesData) {
-        doc.setFontSize(12);
-        doc.setTextColor(118, 75, 162);
-        doc.setFont('helvetica', 'bold');
-        doc.text('Sites & OneDrive Overview', 25, yPosition);
-        yPosition += 6;
-        
-        const sitesMetrics = Object.entries(data.sitesData).slice(0, 4);
-        sitesMetrics.forEach(([key, value]) => {
-            if (value !== undefined && value !== null && yPosition < 280) {
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'normal');
-                const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-                doc.text(`${label}:`, 30, yPosition);
-                
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'bold');
-                const displayValue = typeof value === 'number' ? value.toLocaleString() : value;
-                doc.text(displayValue, 120, yPosition);
-                
-                yPosition += 5;
-            }
-        });
-        yPosition += 5;
-    }
-    
-    // Teams Overview
-    if (data.teamsData) {
-        doc.setFontSize(12);
-        doc.setTextColor(118, 75, 162);
-        doc.setFont('helvetica', 'bold');
-        doc.text('Teams Overview', 25, yPosition);
-        yPosition += 6;
-        
-        const teamsMetrics = Object.entries(data.teamsData).slice(0, 4);
-        teamsMetrics.forEach(([key, value]) => {
-            if (value !== undefined && value !== null && yPosition < 280) {
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'normal');
-                const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-                doc.text(`${label}:`, 30, yPosition);
-                
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'bold');
-                const displayValue = typeof value === 'number' ? value.toLocaleString() : value;
-                doc.text(displayValue, 120, yPosition);
-                
-                yPosition += 5;
-            }
-        });
-    }
-    
-    return yPosition + 10;
+function formatPdfValue(value, format = 'count') {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return 'N/A';
+    }
+    return typeof value === 'string' ? value : COMPARISON_FORMATS[format](value);
 }
 
-function addServiceCardToPDF(doc, title, data, x, y, width, height, color) {
-    // Card background
-    doc.setFillColor(248, 249, 250);
-    doc.rect(x, y, width, height, 'F');
-    
-    // Card border
-    doc.setDrawColor(...color);
-    doc.setLineWidth(0.5);
-    doc.rect(x, y, width, height);
-    
-    // Title
-    doc.setFontSize(12);
-    doc.setTextColor(...color);
-    doc.setFont('helvetica', 'bold');
-    doc.text(title, x + 3, y + 8);
-    
-    // Add metrics
-    if (data) {
-        const metrics = Object.entries(data).slice(0, 4);
-        let currentY = y + 15;
-        
-        metrics.forEach(([key, value]) => {
-            if (value !== undefined && value !== null && currentY < y + height - 5) {
-                // Metric background
-                doc.setFillColor(255, 255, 255);
-                doc.rect(x + 2, currentY - 1, width - 4, 6, 'F');
-                
-                // Metric value
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'bold');
-                const displayValue = typeof value === 'number' ? value.toLocaleString() : value;
-                doc.text(displayValue, x + 4, currentY + 2);
-                
-                // Metric label
-                doc.setFontSize(7);
-                doc.setTextColor(100, 100, 100);
-                doc.setFont('helvetica', 'normal');
-                const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-                doc.text(label, x + 4, currentY + 4);
-                
-                currentY += 8;
+// Sections of the PDF report in print order
+const PDF_SECTIONS = [
+    {
+        id: 'tenant',
+        title: 'Tenant Overview',
+        render: (layout, dashboard) => {
+            const data = dashboard.reportData;
+            const generatedOn = data.reportInfo.generatedOn;
+            layout.keyValues([
+                { label: 'Tenant Name', value: formatPdfValue(data.tenantInfo.tenantName) },
+                { label: 'Total Users', value: formatPdfValue(data.tenantInfo.totalUsers) },
+                { label: 'Active Users', value: formatPdfValue(data.tenantInfo.activeUsers) },
+                { label: 'Guest Users', value: formatPdfValue(data.tenantInfo.guestUsers) },
+                { label: 'Report Generated', value: generatedOn ? new Date(generatedOn).toLocaleString() : 'N/A' }
+            ]);
+        }
+    },
+    {
+        id: 'storage',
+        title: 'Storage Overview',
+        render: (layout, dashboard) => {
+            const data = dashboard.reportData.storageData;
+            layout.keyValues([
+                { label: 'Exchange (GB)', value: formatPdfValue(data.exchangeSize, 'gb') },
+                ...EXCHANGE_SUBLAYERS.map(layer => ({
+                    label: `${layer.label} (GB)`,
+                    value: data[layer.scanKey] === 'skipped' ? 'Not scanned' : formatPdfValue(data[layer.key], 'gb')
+                })),
+                { label: 'OneDrive (GB)', value: formatPdfValue(data.oneDriveSize, 'gb') },
+                { label: 'SharePoint (GB)', value: formatPdfValue(data.sharePointSize, 'gb') },
+                { label: 'Total (GB)', value: formatPdfValue(data.totalSize, 'gb') }
+            ]);
+            const warnings = dashboard.getExchangeScanWarnings(data);
+            if (warnings.length > 0) {
+                layout.paragraph(warnings.join(' '));
             }
-        });
-    }
-}
+            layout.chart('storage-distribution-chart', { maxWidth: 120, maxHeight: 80 });
+        }
+    },
+    {
+        id: 'licensing',
+        title: 'HYCU License Sizer',
+        render: (layout, dashboard) => {
+            const data = dashboard.reportData.licensingData;
+            layout.keyValues([
+                { label: 'Licensed Users', value: formatPdfValue(data.licensedUsers) },
+                { label: 'HYCU Entitlement (GB)', value: formatPdfValue(data.pooledEntitlement !== null ? data.pooledEntitlement : data.hycuEntitlement, 'gb') },
+                { label: 'Current Usage (GB)', value: formatPdfValue(data.currentUsage, 'gb') },
+                { label: 'Additional Licenses', value: formatPdfValue(data.additionalLicenses) },
+                { label: 'for Storage', value: formatPdfValue(data.storageLicenses) },
+                { label: 'for Mailboxes', value: formatPdfValue(data.mailboxLicenses) }
+            ]);
 
-function addTop5ToPDF(doc, title, data, yPosition) {
-    // Check if we need a new page
-    if (yPosition > 250) {
-        doc.addPage();
-        yPosition = 20;
-    }
-    
-    // Section title
-    doc.setFontSize(14);
-    doc.setTextColor(102, 126, 234);
-    doc.setFont('helvetica', 'bold');
-    doc.text(title, 20, yPosition);
-    yPosition += 8;
-    
-    // Add a line under the title
-    doc.setDrawColor(102, 126, 234);
-    doc.setLineWidth(0.5);
-    doc.line(20, yPosition, 190, yPosition);
-    yPosition += 8;
-    
-    if (data) {
-        // Top 5 Mailboxes
-        if (data.mailboxes && data.mailboxes.length > 0) {
-            doc.setFontSize(12);
-            doc.setTextColor(118, 75, 162);
-            doc.setFont('helvetica', 'bold');
-            doc.text('Top 5 Mailboxes', 25, yPosition);
-            yPosition += 6;
-            
-            data.mailboxes.slice(0, 5).forEach((item, index) => {
-                if (yPosition < 280) {
-                    doc.setFontSize(10);
-                    doc.setTextColor(0, 0, 0);
-                    doc.setFont('helvetica', 'normal');
-                    doc.text(`${index + 1}. ${item.name}: ${item.size} GB`, 30, yPosition);
-                    yPosition += 5;
-                }
-            });
-            yPosition += 5;
+            const forecast = dashboard.capacityForecast;
+            if (forecast) {
+                layout.subheading('Entitlement Headroom Forecast');
+                layout.keyValues([
+                    { label: 'Entitlement per User', value: `${forecast.perUserGB} GB` },
+                    { label: 'Entitlement Used', value: `${forecast.percentUsed.toFixed(1)}%` }
+                ]);
+                layout.chart('entitlement-gauge-chart', { maxWidth: 90, maxHeight: 50 });
+                const years = forecast.scenarios[0].licensesByYear.map((count, index) => ({ label: `Year ${index + 1}`, width: 16, align: 'right' }));
+                layout.table([
+                    { label: 'Growth Rate', width: 170 - 30 - years.length * 16 },
+                    { label: 'Exceeds', width: 30 }
+                ].concat(years), forecast.scenarios.map(item => [item.label, dashboard.formatBreach(item)]
+                    .concat(item.licensesByYear.map(count => formatPdfValue(count)))));
+            }
+
+            const licensing = dashboard.mailboxLicensing;
+            if (licensing) {
+                const rules = dashboard.mailboxRules;
+                layout.subheading('Shared Mailbox Licensing');
+                layout.keyValues([
+                    { label: 'Allowance', value: `${formatPdfValue(licensing.allowance)} (${rules.allowancePercent}% of licensed users)` },
+                    { label: 'Counted Shared Mailboxes', value: formatPdfValue(licensing.countedShared) },
+                    { label: 'Excess Shared Mailboxes', value: formatPdfValue(licensing.excessShared) },
+                    { label: 'Licenses for Excess', value: `${formatPdfValue(licensing.excessLicenses)} (${rules.mailboxesPerLicense} per license)` },
+                    { label: 'Resource Mailboxes', value: MAILBOX_TREATMENTS[rules.resourceMailboxes] },
+                    { label: 'Archive Mailboxes', value: MAILBOX_TREATMENTS[rules.archiveMailboxes] }
+                ]);
+            }
+
+            if (data.tiers.length > 0) {
+                const sum = key => data.tiers.reduce((total, tier) => total + tier[key], 0);
+                layout.subheading('License Distribution by Tier');
+                layout.table([
+                    { label: 'License Type', width: 75 },
+                    { label: 'Assigned', width: 22, align: 'right' },
+                    { label: 'Consumed', width: 22, align: 'right' },
+                    { label: 'Available', width: 22, align: 'right' },
+                    { label: 'Storage Limit', width: 24, align: 'right' }
+                ], data.tiers.map(tier => [
+                    tier.licenseType,
+                    formatPdfValue(tier.assigned),
+                    formatPdfValue(tier.consumed),
+                    formatPdfValue(tier.available),
+                    formatPdfValue(tier.storageLimit)
+                ]).concat([['Total', formatPdfValue(sum('assigned')), formatPdfValue(sum('consumed')), formatPdfValue(sum('available')), '']]), { totalRow: true });
+            }
         }
-        
-        // Top 5 OneDrive
-        if (data.oneDrive && data.oneDrive.length > 0) {
-            doc.setFontSize(12);
-            doc.setTextColor(118, 75, 162);
-            doc.setFont('helvetica', 'bold');
-            doc.text('Top 5 OneDrive', 25, yPosition);
-            yPosition += 6;
-            
-            data.oneDrive.slice(0, 5).forEach((item, index) => {
-                if (yPosition < 280) {
-                    doc.setFontSize(10);
-                    doc.setTextColor(0, 0, 0);
-                    doc.setFont('helvetica', 'normal');
-                    doc.text(`${index + 1}. ${item.name}: ${item.size} GB`, 30, yPosition);
-                    yPosition += 5;
-                }
-            });
-            yPosition += 5;
+    },
+    {
+        id: 'services',
+        title: 'Service Overviews',
+        render: (layout, dashboard) => {
+            const data = dashboard.reportData;
+            layout.subheading('Mailbox Overview');
+            layout.keyValues([
+                { label: 'Total Mailboxes', value: formatPdfValue(data.mailboxData.totalMailboxes) },
+                { label: 'Regular Mailboxes', value: formatPdfValue(data.mailboxData.regularMailboxes) },
+                { label: 'Shared Mailboxes', value: formatPdfValue(data.mailboxData.sharedMailboxes) },
+                { label: 'Resource Mailboxes', value: formatPdfValue(data.mailboxData.resourceMailboxes) },
+                { label: 'Archive Mailboxes', value: formatPdfValue(data.mailboxData.archiveMailboxes) },
+                { label: 'Archive %', value: data.mailboxData.archivePercentage === null ? 'N/A' : `${data.mailboxData.archivePercentage.toFixed(1)}%` },
+                { label: 'Shared Allowance', value: formatPdfValue(dashboard.mailboxLicensing ? dashboard.mailboxLicensing.allowance : data.mailboxData.sharedAllowance) },
+                { label: 'Excess Shared', value: formatPdfValue(dashboard.mailboxLicensing ? dashboard.mailboxLicensing.excessShared : data.mailboxData.excessShared) }
+            ]);
+
+            layout.subheading('Sites & OneDrive Overview');
+            layout.keyValues([
+                { label: 'OneDrive Accounts', value: formatPdfValue(data.sitesData.oneDriveAccounts) },
+                { label: 'SharePoint Sites', value: formatPdfValue(data.sitesData.sharePointSites) },
+                { label: 'Teams Sites', value: formatPdfValue(data.sitesData.teamsSites) },
+                { label: 'Total Sites', value: formatPdfValue(data.sitesData.totalSites) }
+            ]);
+
+            layout.subheading('Teams Overview');
+            layout.keyValues([
+                { label: 'Total Teams', value: formatPdfValue(data.teamsData.totalTeams) },
+                { label: 'Total Groups', value: formatPdfValue(data.teamsData.totalGroups) },
+                { label: 'Cost per Message', value: formatPdfValue(data.teamsData.costPerMessage) },
+                { label: 'Cost per Million Messages', value: formatPdfValue(data.teamsData.costPerMillion) }
+            ]);
         }
-        
-        // Top 5 SharePoint
-        if (data.sharePoint && data.sharePoint.length > 0) {
-            doc.setFontSize(12);
-            doc.setTextColor(118, 75, 162);
-            doc.setFont('helvetica', 'bold');
-            doc.text('Top 5 SharePoint', 25, yPosition);
-            yPosition += 6;
-            
-            data.sharePoint.slice(0, 5).forEach((item, index) => {
-                if (yPosition < 280) {
-                    doc.setFontSize(10);
-                    doc.setTextColor(0, 0, 0);
-                    doc.setFont('helvetica', 'normal');
-                    doc.text(`${index + 1}. ${item.name}: ${item.size} GB`, 30, yPosition);
-                    yPosition += 5;
+    },
+    {
+        id: 'growth',
+        title: 'Growth Projections',
+        render: (layout, dashboard) => {
+            const data = dashboard.reportData.growthData;
+            const rates = Object.keys(data.projections).map(Number).sort((a, b) => a - b);
+            if (rates.length > 0) {
+                layout.table([
+                    { label: 'Annual Growth', width: 40 },
+                    { label: 'Year 1 Size (GB)', width: 50, align: 'right' },
+                    { label: 'Additional Storage (GB)', width: 55, align: 'right' }
+                ], rates.map(rate => {
+                    const projected = data.projections[rate];
+                    const additional = projected !== null && data.currentSize !== null ? projected - data.currentSize : null;
+                    return [`${rate}%`, formatPdfValue(projected, 'gb'), formatPdfValue(additional, 'gb')];
+                }));
+            }
+            layout.chart('growth-projection-chart');
+        }
+    },
+    {
+        id: 'top5',
+        title: 'Largest Items by Size',
+        render: (layout, dashboard) => {
+            const count = dashboard.topN.count;
+            TOP_N_WORKLOADS.forEach(workload => {
+                const items = dashboard.reportData.top5Data[workload.key].slice(0, count);
+                if (items.length === 0) {
+                    return;
                 }
+                const workloadSize = dashboard.reportData.storageData[workload.storageKey];
+                layout.subheading(`Top ${items.length} ${workload.label}`);
+                layout.table([
+                    { label: '#', width: 10 },
+                    { label: 'Name', width: 100 },
+                    { label: 'Size (GB)', width: 30, align: 'right' },
+                    { label: 'Share', width: 25, align: 'right' }
+                ], items.map((item, index) => [
+                    String(index + 1),
+                    item.size > dashboard.topN.threshold ? `${item.name} (outlier)` : item.name,
+                    formatPdfValue(item.size, 'gb'),
+                    workloadSize ? `${(item.size / workloadSize * 100).toFixed(1)}%` : 'N/A'
+                ]));
+                layout.chart(workload.canvasId, { maxHeight: 60 });
             });
         }
+    },
+    {
+        id: 'cost',
+        title: 'Cost Estimation',
+        render: (layout, dashboard) => {
+            const data = dashboard.calculateCostEstimate();
+            const reported = dashboard.reportData.costAnalysis;
+            const assumptions = dashboard.costAssumptions;
+            layout.keyValues([
+                { label: 'Monthly Storage Cost', value: formatPdfValue(data.monthlyStorage, 'usd') },
+                { label: 'Monthly Worker Node Cost', value: formatPdfValue(data.monthlyWorkerNode, 'usd') },
+                { label: 'Total Monthly Cost', value: formatPdfValue(data.totalMonthly, 'usd') },
+                { label: 'Annual Cost', value: formatPdfValue(data.annual, 'usd') }
+            ]);
+
+            // Scenario next to the report's own breakdown
+            layout.subheading('Cost Breakdown');
+            layout.table([
+                { label: 'Item', width: 75 },
+                { label: 'Scenario', width: 45, align: 'right' },
+                { label: 'Report', width: 45, align: 'right' }
+            ], [
+                ['Current Storage (GB)', data.currentStorageGB, reported.currentStorage, 'gb'],
+                [`After ${assumptions.compressionRate}% Compression (GB)`, data.compressedStorageGB, reported.compressedStorage, 'gb'],
+                [`With ${assumptions.growthRate}% Growth (GB)`, data.projectedStorageGB, reported.projectedStorage, 'gb'],
+                ['Billed Storage, retention applied (GB)', data.billedStorageGB, null, 'gb'],
+                ['Annual Storage Cost', data.annualStorage, reported.annualStorage, 'usd'],
+                ['Tenant Size, pre-compression (GB)', data.currentStorageGB, reported.tenantSize, 'gb'],
+                ['Worker Node Cost per TB per Month', assumptions.workerNodeCostPerTB, reported.workerNodeCostPerTB, 'usd'],
+                ['Annual Worker Node Cost', data.annualWorkerNode, reported.annualWorkerNode, 'usd']
+            ].map(([label, scenario, report, format]) => [label, formatPdfValue(scenario, format), report === null ? '-' : formatPdfValue(report, format)]));
+            layout.chart('cost-waterfall-chart', { maxHeight: 75 });
+
+            layout.subheading('Cost Estimation Assumptions');
+            layout.bullets(COST_ASSUMPTIONS.map(field => `${field.label}: ${field.format(assumptions[field.key])}`));
+        }
+    },
+    {
+        id: 'backup',
+        title: 'Backup Plan',
+        render: (layout, dashboard) => {
+            const plan = dashboard.calculateBackupPlan();
+            const settings = dashboard.backupPlan.settings;
+            layout.keyValues([
+                { label: 'Backup Window', value: `${BACKUP_PLAN_SETTINGS[0].format(settings.windowStart)} for ${settings.windowHours} hours` },
+                { label: 'RPO Target', value: `${settings.rpoHours} hours` },
+                { label: 'RTO Target', value: `${settings.rtoHours} hours` },
+                { label: 'Retention', value: `${plan.retentionYears} years` },
+                { label: 'Backup Storage', value: formatPdfValue(plan.storageGB, 'gb') },
+                { label: 'Monthly Storage Cost', value: formatPdfValue(plan.monthlyStorage, 'usd') }
+            ]);
+            layout.table([
+                { label: 'Workload', width: 30 },
+                { label: 'Schedule', width: 34 },
+                { label: 'Runs / Day', width: 22, align: 'right' },
+                { label: 'Meets RPO', width: 22, align: 'right' },
+                { label: 'Storage', width: 32, align: 'right' },
+                { label: 'Cost / Month', width: 30, align: 'right' }
+            ], plan.workloads.map(workload => [
+                workload.label,
+                BACKUP_INTERVALS[workload.intervalHours],
+                String(workload.runsPerDay),
+                workload.meetsRpo ? 'Yes' : 'No',
+                workload.storageGB === null ? '-' : formatPdfValue(workload.storageGB, 'gb'),
+                workload.monthlyCost === null ? '-' : formatPdfValue(workload.monthlyCost, 'usd')
+            ]));
+            const recommended = dashboard.reportData.backupPlan;
+            if (recommended && recommended.disasterRecovery) {
+                layout.subheading('Disaster Recovery');
+                layout.bullets(Object.entries(recommended.disasterRecovery)
+                    .map(([key, value]) => `${key.replace(/([a-z])([A-Z])/g, '$1 $2')}: ${value}`));
+            }
+        }
+    },
+    {
+        id: 'storageModel',
+        title: 'Backup Storage Model',
+        render: (layout, dashboard) => {
+            const model = dashboard.calculateStorageModel();
+            const assumptions = dashboard.costAssumptions;
+            const fullBackups = STORAGE_MODEL_SETTINGS[0].options[dashboard.storageModel.fullBackupMonths];
+            layout.paragraph(`Full plus incremental backups simulated month by month with a ${assumptions.dailyChangeRate}% daily change rate, ` +
+                `${assumptions.compressionRate}% compression and ${assumptions.growthRate}% annual growth. Full backups: ${fullBackups}.`);
+            layout.keyValues([
+                { label: 'Protected Storage after 12 Months', value: formatPdfValue(model.firstYearGB, 'gb') },
+                { label: `Protected Storage after ${model.months} Months`, value: formatPdfValue(model.totalGB, 'gb') },
+                { label: 'Monthly Storage Cost', value: formatPdfValue(model.monthlyCost, 'usd') }
+            ]);
+            layout.chart('storage-model-chart');
+            layout.table([
+                { label: 'Workload', width: 35 },
+                { label: 'Retention', width: 25, align: 'right' },
+                { label: 'Full Backups', width: 40, align: 'right' },
+                { label: 'Incrementals', width: 40, align: 'right' },
+                { label: 'Total', width: 40, align: 'right' }
+            ], model.workloads.map(workload => [
+                workload.label,
+                `${workload.retentionYears} yr`,
+                formatPdfValue(workload.fullGB, 'gb'),
+                formatPdfValue(workload.incrementalGB, 'gb'),
+                formatPdfValue(workload.totalGB, 'gb')
+            ]));
+        }
+    },
+    {
+        id: 'compliance',
+        title: 'Compliance Checklist',
+        newPage: true,
+        render: (layout, dashboard) => {
+            const requirements = dashboard.getComplianceRequirements();
+            if (requirements.profiles.length === 0) {
+                layout.paragraph('No compliance profile was selected, so backups follow the scenario retention. ' +
+                    'Select GDPR, HIPAA, SOX or PCI-DSS in the dashboard to add their requirements here.');
+                return;
+            }
+            layout.keyValues([
+                { label: 'Profiles', value: requirements.profiles.map(profile => profile.label).join(', ') },
+                { label: 'Backup Storage', value: formatPdfValue(dashboard.calculateCostEstimate().billedStorageGB, 'gb') },
+                { label: 'Monthly Storage Cost', value: formatPdfValue(dashboard.calculateCostEstimate().monthlyStorage, 'usd') }
+            ]);
+            layout.checklist(dashboard.getComplianceChecklist(requirements));
+        }
+    },
+    {
+        id: 'optimization',
+        title: 'Cost Optimization',
+        render: (layout, dashboard) => {
+            const result = dashboard.calculateCostOptimization();
+            const optimization = dashboard.optimization;
+            layout.keyValues([
+                { label: 'Current Monthly Cost', value: formatPdfValue(result.currentMonthly, 'usd') },
+                { label: 'Optimized Monthly Cost', value: formatPdfValue(result.optimizedMonthly, 'usd') },
+                { label: 'Current Annual Cost', value: formatPdfValue(result.currentAnnual, 'usd') },
+                { label: 'Optimized Annual Cost', value: formatPdfValue(result.optimizedAnnual, 'usd') },
+                { label: 'Annual Savings', value: formatPdfValue(result.annualSavings, 'usd') },
+                { label: 'ROI', value: result.roiPercentage === null ? 'N/A' : `${result.roiPercentage.toFixed(1)}%` },
+                { label: 'Payback Period', value: result.paybackYears === null ? 'Never' : `${result.paybackYears.toFixed(2)} years` }
+            ]);
+
+            layout.subheading('Tiering and Retention by Workload');
+            layout.table([
+                { label: 'Workload', width: 30 },
+                { label: 'Hot %', width: 18, align: 'right' },
+                { label: 'Cool %', width: 18, align: 'right' },
+                { label: 'Archive %', width: 20, align: 'right' },
+                { label: 'Retention', width: 22, align: 'right' },
+                { label: 'Current', width: 31, align: 'right' },
+                { label: 'Optimized', width: 31, align: 'right' }
+            ], result.workloads.map(workload => {
+                const tiers = optimization.workloads[workload.key];
+                return [
+                    workload.label,
+                    String(tiers.hot),
+                    String(tiers.cool),
+                    String(tiers.archive),
+                    `${workload.retentionYears} yr`,
+                    formatPdfValue(workload.currentMonthly, 'usd'),
+                    formatPdfValue(workload.optimizedMonthly, 'usd')
+                ];
+            }));
+
+            layout.subheading('Optimization Settings');
+            layout.bullets(OPTIMIZATION_SETTINGS.map(field => `${field.label}: ${field.format(optimization.settings[field.key])}`));
+            if (optimization.loaded && optimization.loaded.recommendations.length > 0) {
+                layout.subheading('Recommendations');
+                layout.bullets(optimization.loaded.recommendations.map(item =>
+                    `${item.Category} (${item.Priority}): ${item.Description} Potential savings ${item.PotentialSavings}.`));
+            }
+        }
     }
-    
-    return yPosition + 10;
-}
+];
 
-function addTop5CardToPDF(doc, title, data, x, y, width, height, color) {
-    // Card background
-    doc.setFillColor(248, 249, 250);
-    doc.rect(x, y, width, height, 'F');
-    
-    // Card border
-    doc.setDrawColor(...color);
-    doc.setLineWidth(0.5);
-    doc.rect(x, y, width, height);
-    
-    // Title
-    doc.setFontSize(12);
-    doc.setTextColor(...color);
-    doc.setFont('helvetica', 'bold');
-    doc.text(title, x + 3, y + 8);
-    
-    // Add top 5 items
-    if (data && data.length > 0) {
-        let currentY = y + 15;
-        
-        data.slice(0, 5).forEach((item, index) => {
-            if (currentY < y + height - 5) {
-                // Item background
-                doc.setFillColor(255, 255, 255);
-                doc.rect(x + 2, currentY - 1, width - 4, 6, 'F');
-                
-                // Rank
-                doc.setFontSize(8);
-                doc.setTextColor(...color);
-                doc.setFont('helvetica', 'bold');
-                doc.text(`${index + 1}.`, x + 4, currentY + 2);
-                
-                // Name (truncated)
-                const name = item.name.length > 15 ? item.name.substring(0, 15) + '...' : item.name;
-                doc.setFontSize(7);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'normal');
-                doc.text(name, x + 8, currentY + 2);
-                
-                // Size
-                doc.setFontSize(7);
-                doc.setTextColor(100, 100, 100);
-                doc.text(`${item.size} GB`, x + 4, currentY + 4);
-                
-                currentY += 8;
+// Without a proposal this is the standard report; a proposal (see
+// M365Dashboard.getDefaultProposal) adds branding, a cover page and section choice
+function exportToPDF(proposal = null) {
+    if (!window.dashboard || !window.dashboard.reportData) {
+        return;
+    }
+
+    if (!window.jspdf) {
+        alert('The PDF library (jsPDF) is not loaded, so the PDF cannot be created.\n\n' +
+            'Make sure the vendor folder from the web-interface directory sits next to index.html, then reload the page.');
+        return;
+    }
+
+    try {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF('p', 'mm', 'a4');
+        const dashboard = window.dashboard;
+        const tenantName = dashboard.reportData.tenantInfo.tenantName;
+        const title = (proposal && proposal.title.trim()) || 'HYCU M365 Sizing Report';
+        const generatedOn = `Generated on: ${new Date().toLocaleDateString()}`;
+        const layout = new PdfLayout(doc, proposal ? { ...PDF_COLORS, primary: hexToRgb(proposal.color) } : PDF_COLORS);
+
+        let sections = PDF_SECTIONS;
+        if (proposal) {
+            sections = proposal.sections
+                .filter(entry => entry.enabled)
+                .map(entry => PDF_SECTIONS.find(section => section.id === entry.id))
+                .filter(Boolean);
+            layout.coverPage({ ...proposal, title }, tenantName, generatedOn);
+            if (proposal.summary.trim()) {
+                layout.sectionTitle('Executive Summary');
+                layout.paragraph(proposal.summary);
             }
+        } else {
+            layout.coverHeader(title, 'Comprehensive Microsoft 365 Tenant Analysis for Backup Planning', generatedOn);
+        }
+
+        sections.forEach(section => {
+            if (section.newPage) {
+                layout.newPage();
+            }
+            layout.sectionTitle(section.title);
+            section.render(layout, dashboard);
         });
+
+        layout.finish(tenantName ? `${title} | ${tenantName}` : title,
+            dashboard.redactionEnabled ? `${generatedOn} | Names pseudonymized` : generatedOn);
+
+        // Save the PDF
+        doc.save(proposal ? proposalFileName(title, tenantName) : 'HYCU-M365-Sizing-Report.pdf');
+
+    } catch (error) {
+        console.error('Error generating PDF:', error);
+        alert(`The PDF could not be generated: ${error.message}`);
     }
 }
 
-function addCostEstimationToPDF(doc, title, data, yPosition) {
-    // Check if we need a new page
-    if (yPosition > 250) {
-        doc.addPage();
-        yPosition = 20;
-    }
-    
-    // Section title
-    doc.setFontSize(14);
-    doc.setTextColor(102, 126, 234);
-    doc.setFont('helvetica', 'bold');
-    doc.text(title, 20, yPosition);
-    yPosition += 8;
-    
-    // Add a line under the title
-    doc.setDrawColor(102, 126, 234);
-    doc.setLineWidth(0.5);
-    doc.line(20, yPosition, 190, yPosition);
-    yPosition += 8;
-    
-    if (data) {
-        const costMetrics = [
-            { label: 'Monthly Storage Cost', value: data.monthlyStorage },
-            { label: 'Monthly User Cost', value: data.monthlyUser },
-            { label: 'Total Monthly Cost', value: data.totalMonthly },
-            { label: 'Annual Cost', value: data.annual }
-        ];
-        
-        costMetrics.forEach(metric => {
-            if (metric.value !== undefined && metric.value !== null && yPosition < 280) {
-                // Metric label
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'normal');
-                doc.text(`${metric.label}:`, 25, yPosition);
-                
-                // Metric value
-                doc.setFontSize(10);
-                doc.setTextColor(0, 0, 0);
-                doc.setFont('helvetica', 'bold');
-                doc.text(`$${metric.value.toFixed(2)}`, 120, yPosition);
-                
-                yPosition += 6;
+// Units written next to exported values, keyed by field map type
+const EXPORT_UNITS = { size: 'GB', currency: 'USD', percent: '%' };
+
+// One sheet per reportData section. Each sheet is an array of rows; numbers
+// stay numbers so spreadsheets can sum and chart them.
+function buildExportSheets(dashboard) {
+    const data = dashboard.reportData;
+    const fields = REPORT_FIELD_MAPS[LATEST_REPORT_VERSION].fields;
+
+    const fieldSheet = (group, convert = {}) => {
+        const rows = [['Field', 'Value', 'Unit']];
+        Object.entries(fields[group]).forEach(([key, spec]) => {
+            const type = convert[key] || spec.type;
+            let value = data[group][key];
+            if (typeof value === 'string' && type !== 'text') {
+                value = ReportReader.parseValue(value, type);
             }
+            rows.push([spec.label || spec.listItem, value === undefined || Number.isNaN(value) ? null : value, EXPORT_UNITS[type] || '']);
         });
-        
-        // Add assumptions section
-        yPosition += 10;
-        doc.setFontSize(10);
-        doc.setTextColor(100, 100, 100);
-        doc.setFont('helvetica', 'bold');
-        doc.text('Cost Estimation Assumptions:', 25, yPosition);
-        yPosition += 6;
-        
-        const assumptions = [
-            'Storage Cost: $0.02 per GB per month',
-            'Compression Rate: 40% (data compression)',
-            'Growth Rate: 20% (annual projection)',
-            'Worker Node Cost: $8 per TB per month',
-            'Retention Period: 1 year',
-            'Daily Change Rate: 0.2%'
-        ];
-        
-        assumptions.forEach(assumption => {
-            if (yPosition < 280) {
-                doc.setFontSize(9);
-                doc.setTextColor(120, 120, 120);
-                doc.setFont('helvetica', 'normal');
-                doc.text(`• ${assumption}`, 30, yPosition);
-                yPosition += 4;
-            }
+        return rows;
+    };
+
+    const tiers = [[], ['License Type', 'Assigned', 'Consumed', 'Available', 'Storage Limit', 'Storage Limit (GB)']]
+        .concat(data.licensingData.tiers.map(tier => [tier.licenseType, tier.assigned, tier.consumed, tier.available, tier.storageLimit, tier.storageLimitGB]));
+
+    const top5 = [['Workload', 'Rank', 'Name', 'Size (GB)', 'Share of Workload (%)']];
+    TOP_N_WORKLOADS.forEach(workload => {
+        const workloadSize = data.storageData[workload.storageKey];
+        data.top5Data[workload.key].forEach((entry, index) => {
+            top5.push([workload.label, index + 1, entry.name, entry.size, workloadSize ? entry.size / workloadSize * 100 : null]);
+        });
+    });
+
+    const growth = [['Growth Rate (%)', 'Projected Size (GB)', 'Additional Storage (GB)'], [0, data.growthData.currentSize, 0]];
+    Object.keys(data.growthData.projections).map(Number).sort((a, b) => a - b).forEach(rate => {
+        const projected = data.growthData.projections[rate];
+        const additional = projected !== null && data.growthData.currentSize !== null ? projected - data.growthData.currentSize : null;
+        growth.push([rate, projected, additional]);
+    });
+
+    const mailboxRules = [[], ['Mailbox Licensing', 'Value', 'Description'],
+        ['Licenses for Storage', data.licensingData.storageLicenses, ''],
+        ['Licenses for Mailboxes', data.licensingData.mailboxLicenses, '']];
+    MAILBOX_RULES.forEach(rule => {
+        const value = dashboard.mailboxRules[rule.key];
+        mailboxRules.push([rule.label, value, rule.options ? rule.options[value] : rule.format(value)]);
+    });
+
+    const forecast = dashboard.capacityForecast;
+    const capacity = [];
+    if (forecast) {
+        capacity.push([], ['Capacity Forecast', 'Value', 'Unit'],
+            ['Entitlement per User', forecast.perUserGB, 'GB'],
+            ['Pooled Entitlement', forecast.entitlement, 'GB'],
+            ['Current Usage', forecast.usage, 'GB'],
+            ['Entitlement Used', forecast.percentUsed, '%'],
+            [],
+            ['Growth Rate', 'Exceeds Entitlement'].concat(forecast.scenarios[0].licensesByYear.map((count, index) => `Licenses by Year ${index + 1}`)));
+        forecast.scenarios.forEach(item => {
+            const breach = item.breachDate ? item.breachDate.toISOString().slice(0, 7) : null;
+            capacity.push([item.label, item.breachMonth === 0 ? 'Already exceeded' : breach].concat(item.licensesByYear));
         });
     }
-    
-    return yPosition + 10;
+
+    const estimate = dashboard.calculateCostEstimate();
+    const cost = [
+        ['Metric', 'Report', 'Scenario', 'Unit'],
+        ['Monthly Storage Cost', data.costAnalysis.monthlyStorage, estimate.monthlyStorage, 'USD'],
+        ['Monthly Worker Node Cost', data.costAnalysis.monthlyUser, estimate.monthlyWorkerNode, 'USD'],
+        ['Total Monthly Cost', data.costAnalysis.totalMonthly, estimate.totalMonthly, 'USD'],
+        ['Annual Cost', data.costAnalysis.annual, estimate.annual, 'USD'],
+        ['Current Storage', data.costAnalysis.currentStorage, estimate.currentStorageGB, 'GB'],
+        ['After Compression', data.costAnalysis.compressedStorage, estimate.compressedStorageGB, 'GB'],
+        ['With Growth', data.costAnalysis.projectedStorage, estimate.projectedStorageGB, 'GB'],
+        ['Billed Storage', null, estimate.billedStorageGB, 'GB'],
+        ['Annual Storage Cost', data.costAnalysis.annualStorage, estimate.annualStorage, 'USD'],
+        ['Tenant Size (Pre-compression)', data.costAnalysis.tenantSize, estimate.currentStorageGB, 'GB'],
+        ['Worker Node Cost per TB per Month', data.costAnalysis.workerNodeCostPerTB, dashboard.costAssumptions.workerNodeCostPerTB, 'USD'],
+        ['Annual Worker Node Cost', data.costAnalysis.annualWorkerNode, estimate.annualWorkerNode, 'USD'],
+        [],
+        ['Assumption', 'Value', 'Description']
+    ];
+    COST_ASSUMPTIONS.forEach(field => {
+        const value = dashboard.costAssumptions[field.key];
+        cost.push([field.label, value, field.format(value)]);
+    });
+
+    const optimization = dashboard.calculateCostOptimization();
+    const optimizationRows = [
+        ['Metric', 'Value', 'Unit'],
+        ['Current Monthly Cost', optimization.currentMonthly, 'USD'],
+        ['Optimized Monthly Cost', optimization.optimizedMonthly, 'USD'],
+        ['Current Annual Cost', optimization.currentAnnual, 'USD'],
+        ['Optimized Annual Cost', optimization.optimizedAnnual, 'USD'],
+        ['Annual Savings', optimization.annualSavings, 'USD'],
+        ['ROI', optimization.roiPercentage, '%'],
+        ['Payback Period', optimization.paybackYears, 'years'],
+        [],
+        ['Workload', 'Hot %', 'Cool %', 'Archive %', 'Retention (years)', 'Current Storage (GB)', 'Optimized Storage (GB)', 'Current Cost (USD/month)', 'Optimized Cost (USD/month)']
+    ];
+    optimization.workloads.forEach(workload => {
+        const tiers = dashboard.optimization.workloads[workload.key];
+        optimizationRows.push([workload.label, tiers.hot, tiers.cool, tiers.archive, workload.retentionYears,
+            workload.currentGB, workload.optimizedGB, workload.currentMonthly, workload.optimizedMonthly]);
+    });
+    optimizationRows.push([], ['Setting', 'Value', 'Description']);
+    OPTIMIZATION_SETTINGS.forEach(field => {
+        const value = dashboard.optimization.settings[field.key];
+        optimizationRows.push([field.label, value, field.format(value)]);
+    });
+
+    const backupPlan = dashboard.calculateBackupPlan();
+    const backupRows = [['Setting', 'Value', 'Description']];
+    BACKUP_PLAN_SETTINGS.forEach(field => {
+        const value = dashboard.backupPlan.settings[field.key];
+        backupRows.push([field.label, value, field.format(value)]);
+    });
+    backupRows.push(['Retention Period', backupPlan.retentionYears, 'years'], [],
+        ['Workload', 'Interval (hours)', 'Run Times', 'Retention (years)', 'Recovery Points Kept', 'Meets RPO', 'Backup Storage (GB)', 'Storage Cost (USD/month)']);
+    backupPlan.workloads.forEach(workload => {
+        backupRows.push([workload.label, workload.intervalHours, workload.runTimes.map(hour => `${String(hour).padStart(2, '0')}:00`).join(' '),
+            workload.retentionYears, workload.recoveryPoints, workload.meetsRpo ? 'Yes' : 'No', workload.storageGB, workload.monthlyCost]);
+    });
+
+    const requirements = dashboard.getComplianceRequirements();
+    const complianceRows = [
+        ['Profiles', requirements.profiles.map(profile => profile.label).join(', ') || 'None'],
+        [],
+        ['Workload', 'Compliance Minimum (years)', 'Applied Retention (years)', 'Backup Storage (GB)']
+    ];
+    backupPlan.workloads.forEach(workload => {
+        complianceRows.push([workload.label, requirements.retention[workload.key], workload.retentionYears, workload.storageGB]);
+    });
+    complianceRows.push([], ['Requirement', 'Status']);
+    dashboard.getComplianceChecklist(requirements).forEach(item => {
+        complianceRows.push([item.text, item.checked ? 'Met' : 'To verify']);
+    });
+
+    // The field map covers what HTML reports contain; the Exchange sub-layers
+    // only come from JSON exports
+    const storageRows = fieldSheet('storageData');
+    EXCHANGE_SUBLAYERS.forEach((layer, index) => {
+        const scan = data.storageData[layer.scanKey];
+        storageRows.splice(2 + index, 0, [layer.label, data.storageData[layer.key], scan === 'scanned' ? 'GB' : scan === 'skipped' ? `Not scanned (${layer.skipParameter})` : 'Not in report']);
+    });
+
+    const storageModel = dashboard.calculateStorageModel();
+    const storageModelRows = [['Month'].concat(storageModel.workloads.flatMap(workload =>
+        [`${workload.label} Full (GB)`, `${workload.label} Incremental (GB)`])).concat('Total (GB)')];
+    storageModel.totals.forEach((total, index) => {
+        storageModelRows.push([index + 1]
+            .concat(storageModel.workloads.flatMap(workload => [workload.series[index].fullGB, workload.series[index].incrementalGB]))
+            .concat(total));
+    });
+
+    return [
+        { name: 'Tenant', rows: fieldSheet('tenantInfo').concat([['Report Generated', data.reportInfo.generatedOn, '']]) },
+        { name: 'Storage', rows: storageRows },
+        { name: 'Mailboxes', rows: fieldSheet('mailboxData', { archivePercentage: 'percent' }) },
+        { name: 'Sites', rows: fieldSheet('sitesData') },
+        { name: 'Teams', rows: fieldSheet('teamsData', { costPerMessage: 'currency', costPerMillion: 'currency' }) },
+        { name: 'Licensing', rows: fieldSheet('licensingData').concat(tiers, mailboxRules, capacity) },
+        { name: 'Top Items', rows: top5 },
+        { name: 'Growth', rows: growth },
+        { name: 'Cost', rows: cost },
+        { name: 'Backup Plan', rows: backupRows },
+        { name: 'Storage Model', rows: storageModelRows },
+        { name: 'Compliance', rows: complianceRows },
+        { name: 'Optimization', rows: optimizationRows }
+    ];
+}
+
+function exportToExcel() {
+    if (!window.dashboard || !window.dashboard.reportData) {
+        return;
+    }
+
+    try {
+        const sheets = buildExportSheets(window.dashboard);
+
+        // Fall back to a single CSV when the bundled SheetJS failed to load
+        if (window.XLSX) {
+            const workbook = XLSX.utils.book_new();
+            sheets.forEach(sheet => {
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet.rows), sheet.name);
+            });
+            XLSX.writeFile(workbook, 'HYCU-M365-Sizing-Report.xlsx');
+        } else {
+            downloadFile(new Blob([sheetsToCsv(sheets)], { type: 'text/csv' }), 'HYCU-M365-Sizing-Report.csv');
+        }
+    } catch (error) {
+        console.error('Error generating spreadsheet:', error);
+        alert(`The spreadsheet could not be generated: ${error.message}`);
+    }
+}
+
+// CSV has no sheets, so each one becomes a block headed by its name
+function sheetsToCsv(sheets) {
+    const escape = value => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return sheets
+        .map(sheet => [[sheet.name]].concat(sheet.rows).map(row => row.map(escape).join(',')).join('\r\n'))
+        .join('\r\n\r\n') + '\r\n';
+}
+
+function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Parses the uploaded report without running it and strips anything that
+// could execute or navigate: scripts, embedded frames and objects, event
+// handler attributes and javascript: URLs
+function sanitizeReportHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll('script, noscript, iframe, frame, frameset, object, embed, applet, base, form, link, meta[http-equiv]')
+        .forEach(element => element.remove());
+    doc.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+            const isHandler = /^on/i.test(attribute.name);
+            const isScriptUrl = /^(href|src|action|formaction|xlink:href)$/i.test(attribute.name) &&
+                /^\s*(javascript|vbscript|data:text\/html)/i.test(attribute.value);
+            if (isHandler || isScriptUrl) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+    });
+    return `<!DOCTYPE html>${doc.documentElement.outerHTML}`;
 }
 
 function viewDetailedReport() {
     // Get the original HTML content that was uploaded
     if (window.dashboard && window.dashboard.originalHtmlContent) {
-        const newWindow = window.open('', '_blank');
-        newWindow.document.write(window.dashboard.originalHtmlContent);
-        newWindow.document.close();
+        window.dashboard.showDetailedReport();
     } else {
         alert('Please upload an HTML report first to view the detailed analysis.');
     }
@@ -1117,3 +5695,13 @@ function viewDetailedReport() {
 document.addEventListener('DOMContentLoaded', () => {
     new M365Dashboard();
 });
+
+// Cache the app shell for offline use. Service workers need http(s), so a
+// dashboard opened straight from disk just uses the bundled files.
+if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('service-worker.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+}
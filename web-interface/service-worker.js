@@ -0,0 +1,60 @@
+// Caches the dashboard and its vendored libraries so it keeps working without
+// network access. Bump CACHE_NAME whenever APP_SHELL changes.
+const CACHE_NAME = 'hycu-m365-dashboard-v1';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'dashboard.js',
+    'vendor/chart.js/chart.min.js',
+    'vendor/jspdf/jspdf.umd.min.js',
+    'vendor/xlsx/xlsx.full.min.js',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-v4compatibility.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serve from the cache straight away and refresh the cached copy in the
+// background, so a new dashboard.js is picked up on the next visit
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache => cache.match(request, { ignoreSearch: true }).then(cached => {
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        cache.put(request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(() => cached);
+            if (cached) {
+                event.waitUntil(network);
+                return cached;
+            }
+            return network;
+        }))
+    );
+});
@@ -0,0 +1,49 @@
+// Loads the shipped sample-data.json through the dashboard's JSON parser and
+// validation. Run with: node --test web-interface/tests
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// dashboard.js is a plain browser script; it only needs these globals to load
+function loadDashboard() {
+    const context = {
+        console,
+        document: { addEventListener() {} },
+        navigator: {},
+        location: { protocol: 'file:' }
+    };
+    context.window = context;
+    vm.createContext(context);
+    const source = fs.readFileSync(path.join(__dirname, '..', 'dashboard.js'), 'utf8');
+    return vm.runInContext(`${source}\n;M365Dashboard`, context);
+}
+
+function parseSample() {
+    const M365Dashboard = loadDashboard();
+    const dashboard = Object.create(M365Dashboard.prototype);
+    const json = fs.readFileSync(path.join(__dirname, '..', '..', 'sample-outputs', 'sample-data.json'), 'utf8');
+    dashboard.reportData = dashboard.parseJsonReportData(json);
+    return dashboard;
+}
+
+test('sections missing from sample-data.json are null, not 0', () => {
+    const { reportData } = parseSample();
+    assert.strictEqual(reportData.licensingData.licensedUsers, null);
+    assert.strictEqual(reportData.licensingData.hycuEntitlement, null);
+    assert.strictEqual(reportData.mailboxData.regularMailboxes, null);
+    assert.strictEqual(reportData.sitesData.totalSites, null);
+    assert.strictEqual(reportData.mailboxData.totalMailboxes, 2634);
+});
+
+test('sample-data.json has no false inconsistencies', () => {
+    const dashboard = parseSample();
+    const issues = dashboard.validateReportData();
+    const inconsistent = issues.filter(issue => issue.category === 'inconsistent').map(issue => issue.message);
+    assert.strictEqual(inconsistent.join('\n'), '');
+
+    const messages = issues.map(issue => issue.message);
+    assert.ok(messages.includes('Mailboxes: not cross-checked because Regular, Shared and Resource are missing'));
+    assert.ok(messages.includes('Sites: not cross-checked because Teams and the report total are missing'));
+});